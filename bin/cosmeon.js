@@ -0,0 +1,665 @@
+#!/usr/bin/env node
+const fs = require('fs').promises;
+const { createReadStream, createWriteStream } = require('fs');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { parseArgs } = require('util');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+
+// Command-line client for the coordinator's REST API. Uploads go through resumable upload
+// sessions one part at a time and downloads are streamed to disk, so file size is not limited
+// by memory. Run `cosmeon help` for the commands.
+const CONFIG_FILE = process.env.COSMEON_CONFIG || path.join(os.homedir(), '.cosmeon.json');
+const DEFAULT_SERVER = 'http://localhost:3000';
+const PART_RETRIES = 3; // attempts per upload part before giving up
+const FILE_ID_PATTERN = /^\d{13}-[a-z0-9]{1,9}$/; // generateFileId(): millisecond timestamp, dash, random base-36; anything else is a path
+
+// Exit codes, so scripts can tell a partial reconstruction from a failed one
+const EXIT = {
+    OK: 0,
+    ERROR: 1, // request failed or server unreachable
+    USAGE: 2, // bad command line
+    PARTIAL: 3, // some data unrecoverable, or a scrub found damaged chunks
+    FAILED: 4 // nothing recoverable, or a download that did not complete or verify
+};
+
+const USAGE = `Usage: cosmeon <command> [options]
+
+Commands:
+  login [username]              Sign in and save the token (password from COSMEON_PASSWORD or a prompt)
+  logout                        Revoke the saved token
+  put <file|glob>...            Upload files (patterns with *, ? and ** are expanded)
+  get <path|fileId> [dest]      Download a file to dest (a file, a directory or - for stdout)
+  ls [prefix]                   List paths with their current version and size
+  stat <path|fileId>            Show a file's versions, chunks and placement
+  rm <path|fileId>              Delete the current version (--all-versions for every version)
+  verify <path|fileId>          Check that every chunk is recoverable and the file hash matches
+  nodes                         List storage nodes
+  toggle <nodeId> [up|down]     Take a node down or bring it back (admin)
+  scrub [nodeId...]             Verify the chunks stored on nodes (admin)
+
+Options:
+  --server <url>        Coordinator URL (default: COSMEON_URL, the saved server, or ${DEFAULT_SERVER})
+  --token <token>       API token (default: COSMEON_TOKEN or the token saved by login)
+  --json                Print results as JSON
+  --path <path>         put: logical path, or a directory when it ends with / or several files are given
+  --version <n>         get, stat: a specific version
+  --replication <n>     put: copies of each chunk
+  --coding erasure      put: Reed-Solomon erasure coding (--data-shards, --parity-shards)
+  --encrypt             put: encrypt chunks at rest
+  --compression <codec> put: gzip, deflate, brotli or none
+  --placement <policy>  put: round-robin, capacity, consistent-hash or failure-domain
+  --resume <sessionId>  put: continue an interrupted upload of a single file (with its original options)
+  --all-versions        rm: delete every version of the path
+  --remove-orphans      scrub: delete chunk files no metadata refers to
+
+Exit codes: 0 success, 1 error, 2 usage, 3 partial reconstruction or damaged chunks found,
+4 failed reconstruction or download.`;
+
+// An error that ends the command with a specific exit code
+function cliError(message, exitCode = EXIT.ERROR) {
+    const error = new Error(message);
+    error.exitCode = exitCode;
+    return error;
+}
+
+// Saved settings: { server, token }
+async function readConfig() {
+    try {
+        return JSON.parse(await fs.readFile(CONFIG_FILE, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return {};
+        }
+        throw cliError(`${CONFIG_FILE} is not valid JSON: ${error.message}`);
+    }
+}
+
+// Save settings readable only by the current user, since they hold a token
+async function writeConfig(config) {
+    await fs.writeFile(CONFIG_FILE, JSON.stringify(config, null, 2), { mode: 0o600 });
+}
+
+// Client for the REST API. Errors carry the HTTP status and the server's error message.
+function apiClient(server, token) {
+    async function send(method, pathname, { json, body, headers = {} } = {}) {
+        let response;
+        try {
+            response = await fetch(`${server}${pathname}`, {
+                method,
+                headers: {
+                    ...headers,
+                    ...(token ? { Authorization: `Bearer ${token}` } : {}),
+                    ...(json !== undefined ? { 'Content-Type': 'application/json' } : {})
+                },
+                body: json !== undefined ? JSON.stringify(json) : body
+            });
+        } catch (error) {
+            const reason = error.cause ? error.cause.code || error.cause.message : error.message;
+            throw cliError(`Cannot reach ${server}: ${reason}`);
+        }
+        
+        if (!response.ok) {
+            const detail = await response.json().catch(() => ({}));
+            const error = cliError(response.status === 401 && !detail.error ? 'Authentication required' :
+                detail.error || `${method} ${pathname} returned ${response.status}`);
+            error.status = response.status;
+            error.detail = detail;
+            if (response.status === 401) {
+                error.message += ' (run `cosmeon login` or pass --token)';
+            }
+            throw error;
+        }
+        return response;
+    }
+    
+    return {
+        server,
+        
+        // Send a request and parse the JSON answer
+        async request(method, pathname, options) {
+            return (await send(method, pathname, options)).json();
+        },
+        
+        // Send a request and return the response for streaming its body
+        stream: send
+    };
+}
+
+// SHA-256 of a file, read as a stream
+async function hashFile(filePath) {
+    const hash = crypto.createHash('sha256');
+    for await (const data of createReadStream(filePath)) {
+        hash.update(data);
+    }
+    return hash.digest('hex');
+}
+
+// Regular expression for one path segment of a glob. Wildcards do not match a leading dot.
+function globSegment(segment) {
+    let source = '';
+    for (const char of segment) {
+        source += char === '*' ? '[^/]*' : char === '?' ? '[^/]' : char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+    return new RegExp(`^(?!\\.)${source}$`);
+}
+
+// Directories below a directory, recursively, skipping hidden ones
+async function subdirectories(dir) {
+    const found = [];
+    for (const entry of await fs.readdir(dir || '.', { withFileTypes: true }).catch(() => [])) {
+        if (entry.isDirectory() && !entry.name.startsWith('.')) {
+            const child = path.join(dir, entry.name);
+            found.push(child, ...await subdirectories(child));
+        }
+    }
+    return found;
+}
+
+// Expand a pattern with *, ? and ** into the files it matches. Shells usually do this already;
+// quoted patterns (and shells that do not) are expanded here. Plain names are returned as they are.
+async function expandGlob(pattern) {
+    if (!/[*?]/.test(pattern)) {
+        return [pattern];
+    }
+    
+    const segments = pattern.split(/[\\/]/);
+    let candidates = [segments[0] === '' ? path.sep : ''];
+    if (segments[0] === '') {
+        segments.shift();
+    }
+    for (const [i, segment] of segments.entries()) {
+        const last = i === segments.length - 1;
+        const next = [];
+        for (const base of candidates) {
+            if (segment === '**') {
+                next.push(base, ...await subdirectories(base));
+            } else if (!/[*?]/.test(segment)) {
+                next.push(path.join(base, segment));
+            } else {
+                const regex = globSegment(segment);
+                for (const entry of await fs.readdir(base || '.', { withFileTypes: true }).catch(() => [])) {
+                    if (regex.test(entry.name) && (last || entry.isDirectory())) {
+                        next.push(path.join(base, entry.name));
+                    }
+                }
+            }
+        }
+        candidates = next;
+    }
+    
+    const files = [];
+    for (const candidate of new Set(candidates)) {
+        const stats = await fs.stat(candidate).catch(() => null);
+        if (stats && stats.isFile()) {
+            files.push(candidate);
+        }
+    }
+    if (files.length === 0) {
+        throw cliError(`No files match ${pattern}`);
+    }
+    return files.sort();
+}
+
+// Progress line on stderr, only when it is a terminal
+function progress(message) {
+    if (process.stderr.isTTY) {
+        process.stderr.write(`\r\x1b[K${message}`);
+    }
+}
+
+// Clear the progress line
+function progressDone() {
+    progress('');
+}
+
+// Run a request again after a failure that may be temporary (network errors and 5xx answers)
+async function withRetries(attempt) {
+    for (let n = 1; ; n++) {
+        try {
+            return await attempt();
+        } catch (error) {
+            if (n >= PART_RETRIES || (error.status && error.status < 500)) {
+                throw error;
+            }
+            await new Promise(resolve => setTimeout(resolve, 500 * n));
+        }
+    }
+}
+
+// Upload one file through a resumable session: the file is read and sent one part at a time.
+// An interrupted upload keeps its session, and `--resume <sessionId>` sends only the missing parts.
+async function uploadFile(client, filePath, options, resumeId = null) {
+    const name = path.basename(filePath);
+    const { size } = await fs.stat(filePath);
+    
+    let session;
+    if (resumeId) {
+        session = await client.request('GET', `/api/uploads/${encodeURIComponent(resumeId)}`);
+        if (session.size !== size) {
+            throw cliError(`Session ${resumeId} is for a ${session.size}-byte file, ${filePath} has ${size} bytes`);
+        }
+    } else {
+        progress(`${name}: hashing`);
+        const fileHash = await hashFile(filePath);
+        session = await client.request('POST', '/api/uploads', { json: { fileName: name, size, fileHash, ...options } });
+    }
+    
+    const handle = await fs.open(filePath, 'r');
+    try {
+        const missing = session.missingParts;
+        for (const [i, partNumber] of missing.entries()) {
+            const offset = partNumber * session.partSize;
+            const buffer = Buffer.alloc(Math.min(session.partSize, size - offset));
+            await handle.read(buffer, 0, buffer.length, offset);
+            
+            await withRetries(() => client.request('PUT', `/api/uploads/${session.sessionId}/parts/${partNumber}`, {
+                body: buffer,
+                headers: {
+                    'Content-Type': 'application/octet-stream',
+                    'X-Part-Hash': crypto.createHash('sha256').update(buffer).digest('hex')
+                }
+            }));
+            progress(`${name}: ${Math.round(((i + 1) / missing.length) * 100)}% (${i + 1}/${missing.length} parts)`);
+        }
+    } catch (error) {
+        error.message += `\nResume with: cosmeon put ${filePath} --resume ${session.sessionId}`;
+        throw error;
+    } finally {
+        await handle.close();
+    }
+    
+    progress(`${name}: storing`);
+    const result = await client.request('POST', `/api/uploads/${session.sessionId}/commit`);
+    progressDone();
+    return result;
+}
+
+// Find a file by ID or logical path (the current version, or `version`)
+async function resolveFile(client, target, version) {
+    if (FILE_ID_PATTERN.test(target)) {
+        const metadata = await client.request('GET', '/api/metadata');
+        const fileInfo = metadata.files[target];
+        if (!fileInfo) {
+            throw cliError(`File ${target} not found`);
+        }
+        return fileInfo;
+    }
+    
+    const entry = await client.request('GET', `/api/versions?path=${encodeURIComponent(target)}`);
+    const wanted = version !== undefined ?
+        entry.versions.find(candidate => String(candidate.version) === String(version)) :
+        entry.versions.find(candidate => candidate.current);
+    if (!wanted) {
+        throw cliError(`${entry.path} has no version ${version}`);
+    }
+    
+    const metadata = await client.request('GET', '/api/metadata');
+    return metadata.files[wanted.fileId] || { ...wanted, path: entry.path };
+}
+
+// Human-readable byte count
+function formatBytes(bytes) {
+    if (bytes === null || bytes === undefined) {
+        return '-';
+    }
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
+}
+
+// Print rows as aligned columns
+function printTable(headers, rows) {
+    const widths = headers.map((header, i) => Math.max(header.length, ...rows.map(row => String(row[i]).length)));
+    const line = cells => cells.map((cell, i) => String(cell).padEnd(widths[i])).join('  ').trimEnd();
+    console.log(line(headers));
+    rows.forEach(row => console.log(line(row)));
+}
+
+// Read a password from the terminal without echoing it, or the first line of piped input
+function readPassword(prompt) {
+    const stdin = process.stdin;
+    return new Promise((resolve, reject) => {
+        stdin.setEncoding('utf8');
+        if (!stdin.isTTY) {
+            let input = '';
+            stdin.on('data', data => { input += data; });
+            stdin.on('end', () => resolve(input.split(/\r?\n/)[0]));
+            stdin.on('error', reject);
+            return;
+        }
+        
+        process.stderr.write(prompt);
+        stdin.setRawMode(true);
+        stdin.resume();
+        let password = '';
+        const finish = (error) => {
+            stdin.setRawMode(false);
+            stdin.pause();
+            stdin.off('data', onData);
+            process.stderr.write('\n');
+            return error ? reject(error) : resolve(password);
+        };
+        const onData = data => {
+            for (const char of data) {
+                if (char === '\r' || char === '\n' || char === '\u0004') {
+                    return finish();
+                } else if (char === '\u0003') {
+                    return finish(cliError('Cancelled'));
+                } else if (char === '\u007f' || char === '\b') {
+                    password = password.slice(0, -1);
+                } else {
+                    password += char;
+                }
+            }
+        };
+        stdin.on('data', onData);
+    });
+}
+
+// Upload options taken from the command line, in the form POST /api/uploads expects
+function uploadOptions(values) {
+    const options = {};
+    if (values.replication !== undefined) options.replicationFactor = values.replication;
+    if (values.coding !== undefined) options.coding = values.coding;
+    if (values['data-shards'] !== undefined) options.dataShards = values['data-shards'];
+    if (values['parity-shards'] !== undefined) options.parityShards = values['parity-shards'];
+    if (values.encrypt) options.encrypt = 'true';
+    if (values.compression !== undefined) options.compression = values.compression;
+    if (values.placement !== undefined) options.placement = values.placement;
+    return options;
+}
+
+// Commands. Each gets the API client, its positional arguments and the parsed options, and
+// returns { result, print?, exitCode? }: `result` is printed as JSON with --json, otherwise `print` runs.
+const commands = {
+    async login(client, args, values, config) {
+        const username = args[0] || process.env.COSMEON_USER || 'admin';
+        const password = process.env.COSMEON_PASSWORD || await readPassword(`Password for ${username}: `);
+        const login = await client.request('POST', '/api/auth/login', { json: { username, password } });
+        await writeConfig({ ...config, server: client.server, token: login.token });
+        return {
+            result: { user: login.user, expiresAt: login.expiresAt, server: client.server },
+            print: () => console.log(`Signed in to ${client.server} as ${login.user.username} until ${login.expiresAt}`)
+        };
+    },
+    
+    async logout(client, args, values, config) {
+        await client.request('POST', '/api/auth/logout');
+        if (config.token) {
+            const { token, ...rest } = config;
+            await writeConfig(rest);
+        }
+        return { result: { success: true }, print: () => console.log('Signed out') };
+    },
+    
+    async put(client, args, values) {
+        if (args.length === 0) {
+            throw cliError('put needs at least one file', EXIT.USAGE);
+        }
+        const files = [];
+        for (const pattern of args) {
+            files.push(...await expandGlob(pattern));
+        }
+        if (values.resume && files.length !== 1) {
+            throw cliError('--resume continues the upload of a single file', EXIT.USAGE);
+        }
+        
+        // --path names the file, or the directory for every file when it ends with / or there are several
+        const destination = file => {
+            if (!values.path) return {};
+            const isDirectory = values.path.endsWith('/') || files.length > 1;
+            return { path: isDirectory ? path.posix.join(values.path, path.basename(file)) : values.path };
+        };
+        
+        const uploaded = [];
+        for (const file of files) {
+            const result = await uploadFile(client, file, { ...uploadOptions(values), ...destination(file) }, values.resume);
+            uploaded.push({ file, fileId: result.fileId, path: result.path, version: result.version, totalChunks: result.totalChunks });
+            if (!values.json) {
+                console.log(`${file} -> ${result.path} (v${result.version}, ${result.fileId})`);
+            }
+        }
+        return { result: uploaded, print: () => {} };
+    },
+    
+    async get(client, args, values) {
+        if (args.length === 0) {
+            throw cliError('get needs a path or file ID', EXIT.USAGE);
+        }
+        const fileInfo = await resolveFile(client, args[0], values.version);
+        const source = `/api/download/${encodeURIComponent(fileInfo.fileId)}`;
+        
+        let response;
+        try {
+            response = await client.stream('GET', source);
+        } catch (error) {
+            // 503: a chunk of the file cannot be read from any node
+            throw error.status === 503 ? cliError(`${fileInfo.path} is unrecoverable: ${error.message}`, EXIT.FAILED) : error;
+        }
+        
+        // Write to stdout, into a directory, or to a temporary file renamed once complete
+        let dest = args[1] || path.basename(fileInfo.path || fileInfo.originalName);
+        const toStdout = dest === '-';
+        if (!toStdout && (await fs.stat(dest).catch(() => null) || { isDirectory: () => false }).isDirectory()) {
+            dest = path.join(dest, path.basename(fileInfo.path || fileInfo.originalName));
+        }
+        const tempPath = `${dest}.${crypto.randomBytes(4).toString('hex')}.part`;
+        
+        const hash = crypto.createHash('sha256');
+        let received = 0;
+        const body = Readable.fromWeb(response.body);
+        body.on('data', data => {
+            hash.update(data);
+            received += data.length;
+            progress(`${path.basename(dest)}: ${Math.round((received / (fileInfo.size || 1)) * 100)}%`);
+        });
+        try {
+            await pipeline(body, toStdout ? process.stdout : createWriteStream(tempPath));
+        } catch (error) {
+            await fs.rm(tempPath, { force: true });
+            throw cliError(`Download of ${fileInfo.path} did not complete: ${error.message}`, EXIT.FAILED);
+        }
+        progressDone();
+        
+        const fileHash = hash.digest('hex');
+        if (fileInfo.fileHash && fileHash !== fileInfo.fileHash) {
+            await fs.rm(tempPath, { force: true });
+            throw cliError(`Download of ${fileInfo.path} does not match the stored file hash`, EXIT.FAILED);
+        }
+        if (!toStdout) {
+            await fs.rename(tempPath, dest);
+        }
+        
+        const result = { fileId: fileInfo.fileId, path: fileInfo.path, version: fileInfo.version, size: received, fileHash, dest: toStdout ? '-' : dest };
+        return { result, print: () => !toStdout && console.error(`${fileInfo.path} -> ${dest} (${formatBytes(received)})`) };
+    },
+    
+    async ls(client, args) {
+        const { paths } = await client.request('GET', '/api/versions');
+        const prefix = args[0] ? `/${args[0].replace(/^\/+/, '')}` : '/';
+        const entries = paths
+            .filter(entry => entry.path.startsWith(prefix))
+            .sort((a, b) => a.path.localeCompare(b.path))
+            .map(entry => {
+                const current = entry.versions.find(version => version.current);
+                return {
+                    path: entry.path,
+                    version: entry.currentVersion,
+                    versions: entry.versions.length,
+                    size: current.size,
+                    fileId: current.fileId,
+                    uploadedAt: current.uploadedAt
+                };
+            });
+        return {
+            result: entries,
+            print: () => printTable(['PATH', 'VERSION', 'VERSIONS', 'SIZE', 'FILE ID'],
+                entries.map(entry => [entry.path, `v${entry.version}`, entry.versions, formatBytes(entry.size), entry.fileId]))
+        };
+    },
+    
+    async stat(client, args, values) {
+        if (args.length === 0) {
+            throw cliError('stat needs a path or file ID', EXIT.USAGE);
+        }
+        const fileInfo = await resolveFile(client, args[0], values.version);
+        const { versions } = await client.request('GET', `/api/versions?path=${encodeURIComponent(fileInfo.path)}`);
+        const metadata = await client.request('GET', '/api/metadata');
+        const chunks = Object.values(fileInfo.chunks || {}).map(chunkInfo => ({
+            chunkId: chunkInfo.chunkId,
+            key: chunkInfo.key,
+            size: chunkInfo.size,
+            nodes: ((metadata.objects || {})[chunkInfo.key] || { replicas: [] }).replicas.map(replica => replica.node)
+        }));
+        const result = { ...fileInfo, chunks, versions };
+        
+        return {
+            result,
+            print: () => {
+                console.log(`Path:        ${fileInfo.path} (v${fileInfo.version} of ${versions.length})`);
+                console.log(`File ID:     ${fileInfo.fileId}`);
+                console.log(`Size:        ${formatBytes(fileInfo.size)} (${fileInfo.size} bytes)`);
+                console.log(`SHA-256:     ${fileInfo.fileHash}`);
+                console.log(`Owner:       ${fileInfo.owner}`);
+                console.log(`Uploaded:    ${fileInfo.uploadedAt}`);
+                console.log(`Protection:  ${fileInfo.coding ?
+                    `erasure coded ${fileInfo.coding.dataShards}+${fileInfo.coding.parityShards}` : `${fileInfo.replicationFactor}x replication`}` +
+                    `${fileInfo.encryption ? ', encrypted' : ''}${fileInfo.compression && fileInfo.compression !== 'none' ? `, ${fileInfo.compression}` : ''}`);
+                console.log('');
+                printTable(['CHUNK', 'SIZE', 'NODES', 'KEY'],
+                    chunks.map(chunk => [chunk.chunkId, formatBytes(chunk.size), chunk.nodes.join(',') || '-', chunk.key]));
+            }
+        };
+    },
+    
+    async rm(client, args, values) {
+        if (args.length === 0) {
+            throw cliError('rm needs a path or file ID', EXIT.USAGE);
+        }
+        let fileIds;
+        if (values['all-versions'] && !FILE_ID_PATTERN.test(args[0])) {
+            const entry = await client.request('GET', `/api/versions?path=${encodeURIComponent(args[0])}`);
+            fileIds = entry.versions.map(version => version.fileId);
+        } else {
+            fileIds = [(await resolveFile(client, args[0])).fileId];
+        }
+        
+        const deleted = [];
+        for (const fileId of fileIds) {
+            deleted.push(await client.request('DELETE', `/api/files/${encodeURIComponent(fileId)}`));
+        }
+        return {
+            result: deleted,
+            print: () => deleted.forEach(result => console.log(`Deleted ${result.originalName} (${result.fileId})` +
+                (result.queuedChunks > 0 ? `; ${result.queuedChunks} chunks queued until their nodes return` : '')))
+        };
+    },
+    
+    async verify(client, args, values) {
+        if (args.length === 0) {
+            throw cliError('verify needs a path or file ID', EXIT.USAGE);
+        }
+        const fileInfo = await resolveFile(client, args[0], values.version);
+        const result = await client.request('POST', `/api/reconstruct/${encodeURIComponent(fileInfo.fileId)}`);
+        return {
+            result,
+            exitCode: result.status === 'success' ? EXIT.OK : result.status === 'partial' ? EXIT.PARTIAL : EXIT.FAILED,
+            print: () => {
+                console.log(`${fileInfo.path}: ${result.message}`);
+                (result.missingChunks || []).forEach(chunk => console.log(`  missing chunk ${chunk.chunkId}`));
+            }
+        };
+    },
+    
+    async nodes(client) {
+        const { nodes } = await client.request('GET', '/api/nodes');
+        return {
+            result: nodes,
+            print: () => printTable(['NODE', 'STATUS', 'STATE', 'CHUNKS', 'CAPACITY', 'URL'],
+                nodes.map(node => [node.nodeId, node.status, node.state || 'active', node.chunkCount, formatBytes(node.capacity), node.url || '-']))
+        };
+    },
+    
+    async toggle(client, args) {
+        if (args.length === 0 || (args[1] && !['up', 'down'].includes(args[1]))) {
+            throw cliError('toggle needs a node ID and optionally up or down', EXIT.USAGE);
+        }
+        const result = await client.request('POST', `/api/nodes/${encodeURIComponent(args[0])}/toggle`, { json: { status: args[1] } });
+        return { result, print: () => console.log(result.message) };
+    },
+    
+    async scrub(client, args, values) {
+        const { report } = await client.request('POST', '/api/scrub', {
+            json: { nodes: args.length > 0 ? args : undefined, removeOrphans: values['remove-orphans'] === true }
+        });
+        const { checked, missing, corrupt, orphaned } = report.totals;
+        return {
+            result: report,
+            exitCode: missing + corrupt > 0 ? EXIT.PARTIAL : EXIT.OK,
+            print: () => {
+                printTable(['NODE', 'STATUS', 'CHECKED', 'MISSING', 'CORRUPT', 'ORPHANED'],
+                    Object.values(report.nodes).map(node => [node.nodeId, node.status, node.checked, node.missing.length, node.corrupt.length, node.orphaned.length]));
+                console.log(`\n${checked} chunks checked: ${missing} missing, ${corrupt} corrupt, ${orphaned} orphaned`);
+            }
+        };
+    }
+};
+
+async function main(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            server: { type: 'string' },
+            token: { type: 'string' },
+            json: { type: 'boolean' },
+            path: { type: 'string' },
+            version: { type: 'string' },
+            replication: { type: 'string' },
+            coding: { type: 'string' },
+            'data-shards': { type: 'string' },
+            'parity-shards': { type: 'string' },
+            encrypt: { type: 'boolean' },
+            compression: { type: 'string' },
+            placement: { type: 'string' },
+            resume: { type: 'string' },
+            'all-versions': { type: 'boolean' },
+            'remove-orphans': { type: 'boolean' },
+            help: { type: 'boolean', short: 'h' }
+        }
+    });
+    const [name, ...args] = positionals;
+    if (!name || name === 'help' || values.help) {
+        console.log(USAGE);
+        return EXIT.OK;
+    }
+    if (!Object.hasOwn(commands, name)) {
+        throw cliError(`Unknown command: ${name}\n\n${USAGE}`, EXIT.USAGE);
+    }
+    
+    const config = await readConfig();
+    const server = (values.server || process.env.COSMEON_URL || config.server || DEFAULT_SERVER).replace(/\/$/, '');
+    const token = values.token || process.env.COSMEON_TOKEN || (server === config.server ? config.token : null);
+    const { result, print, exitCode = EXIT.OK } = await commands[name](apiClient(server, token), args, values, config);
+    
+    if (values.json) {
+        console.log(JSON.stringify(result, null, 2));
+    } else {
+        print();
+    }
+    return exitCode;
+}
+
+main(process.argv.slice(2)).then(code => { process.exitCode = code; }, error => {
+    progressDone();
+    console.error(`cosmeon: ${error.message}`);
+    process.exitCode = error.exitCode || (error.code && error.code.startsWith('ERR_PARSE_ARGS') ? EXIT.USAGE : EXIT.ERROR);
+});
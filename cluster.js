@@ -0,0 +1,56 @@
+const { spawn } = require('child_process');
+const { existsSync, readFileSync, readdirSync } = require('fs');
+const path = require('path');
+
+// Local cluster launcher: starts one node-server.js process per registered local node,
+// then the coordinator. Stop a single node process to simulate a real node outage.
+const REGISTRY_FILE = path.join(__dirname, 'nodes', 'registry.json');
+const DEFAULT_NODES = ['node1', 'node2', 'node3', 'node4'];
+const NODE_BASE_PORT = parseInt(process.env.NODE_BASE_PORT, 10) || 4001;
+
+// Nodes to start: the registry entries served from this machine. Before the first start the
+// coordinator seeds the registry from the existing node directories, so mirror that here.
+function localNodes() {
+    if (!existsSync(REGISTRY_FILE)) {
+        const nodesDir = path.dirname(REGISTRY_FILE);
+        const existing = existsSync(nodesDir) ?
+            readdirSync(nodesDir, { withFileTypes: true }).filter(entry => entry.isDirectory()).map(entry => entry.name).sort() : [];
+        return (existing.length > 0 ? existing : DEFAULT_NODES)
+            .map((nodeId, index) => ({ nodeId, port: NODE_BASE_PORT + index }));
+    }
+    
+    const { nodes } = JSON.parse(readFileSync(REGISTRY_FILE, 'utf8'));
+    return Object.values(nodes)
+        .map((entry, index) => ({ entry, url: new URL(entry.url || `http://localhost:${NODE_BASE_PORT + index}`) }))
+        .filter(({ url }) => ['localhost', '127.0.0.1'].includes(url.hostname))
+        .map(({ entry, url }) => ({ nodeId: entry.nodeId, port: parseInt(url.port, 10) || 80 }));
+}
+
+const children = [];
+
+// Start a child process with extra environment variables
+function start(name, script, env = {}) {
+    const child = spawn(process.execPath, [path.join(__dirname, script)], {
+        env: { ...process.env, ...env },
+        stdio: 'inherit'
+    });
+    child.on('exit', (code, signal) => {
+        console.log(`${name} (pid ${child.pid}) exited with ${signal || code}`);
+    });
+    children.push(child);
+    console.log(`Started ${name} (pid ${child.pid})`);
+    return child;
+}
+
+for (const { nodeId, port } of localNodes()) {
+    start(nodeId, 'node-server.js', { NODE_ID: nodeId, NODE_PORT: String(port) });
+}
+start('coordinator', 'server.js');
+
+// Stop every process together
+for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.on(signal, () => {
+        children.forEach(child => child.kill(signal));
+        process.exit(0);
+    });
+}
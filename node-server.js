@@ -0,0 +1,143 @@
+const express = require('express');
+const fs = require('fs').promises;
+const { createReadStream } = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Standalone storage node. It keeps chunk files in one directory and serves them
+// over HTTP to the coordinator (server.js). Start one process per node:
+//   NODE_ID=node2 NODE_PORT=4002 node node-server.js
+const NODE_ID = process.env.NODE_ID || 'node1';
+const PORT = parseInt(process.env.NODE_PORT, 10) || 4001;
+const DATA_DIR = process.env.NODE_DATA_DIR || path.join(__dirname, 'nodes', NODE_ID);
+const MAX_CHUNK_SIZE = 64 * 1024 * 1024; // largest chunk or shard accepted
+const KEY_PATTERN = /^[A-Za-z0-9_-]{1,128}$/; // content hashes and legacy `<fileId>_chunk<i>` names
+const NODE_TOKEN = process.env.NODE_TOKEN || null; // when set, every request must carry it in X-Node-Token
+
+const app = express();
+const startedAt = Date.now();
+
+// Only the coordinator, which knows the shared token, may talk to a node that has one
+app.use((req, res, next) => {
+    if (!NODE_TOKEN) {
+        return next();
+    }
+    const expected = crypto.createHash('sha256').update(NODE_TOKEN).digest();
+    const presented = crypto.createHash('sha256').update(req.get('X-Node-Token') || '').digest();
+    if (!crypto.timingSafeEqual(expected, presented)) {
+        return res.status(401).json({ error: 'Invalid node token' });
+    }
+    next();
+});
+
+// Reject keys that could escape the data directory
+app.param('key', (req, res, next, key) => {
+    if (!KEY_PATTERN.test(key)) {
+        return res.status(400).json({ error: 'Invalid chunk key' });
+    }
+    next();
+});
+
+// List stored chunks (temporary files and the coordinator's status.json are skipped)
+async function listChunks() {
+    const entries = await fs.readdir(DATA_DIR, { withFileTypes: true });
+    const chunks = [];
+    for (const entry of entries) {
+        if (!entry.isFile() || !KEY_PATTERN.test(entry.name)) continue;
+        const stats = await fs.stat(path.join(DATA_DIR, entry.name));
+        chunks.push({ key: entry.name, size: stats.size, modifiedAt: stats.mtime.toISOString() });
+    }
+    return chunks;
+}
+
+// Health check
+app.get('/health', async (req, res) => {
+    try {
+        const chunks = await listChunks();
+        res.json({
+            nodeId: NODE_ID,
+            status: 'ok',
+            chunkCount: chunks.length,
+            usedBytes: chunks.reduce((sum, chunk) => sum + chunk.size, 0),
+            uptime: (Date.now() - startedAt) / 1000
+        });
+    } catch (error) {
+        res.status(500).json({ nodeId: NODE_ID, status: 'error', error: error.message });
+    }
+});
+
+// List chunks
+app.get('/chunks', async (req, res) => {
+    try {
+        res.json({ nodeId: NODE_ID, chunks: await listChunks() });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Store a chunk. The body is the raw chunk; an optional X-Chunk-Hash is checked before it is kept.
+// The file is written under a temporary name and renamed, so a chunk is never visible half-written.
+app.put('/chunks/:key', express.raw({ type: () => true, limit: MAX_CHUNK_SIZE }), async (req, res) => {
+    try {
+        const body = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+        const expectedHash = req.get('X-Chunk-Hash');
+        if (expectedHash && crypto.createHash('sha256').update(body).digest('hex') !== expectedHash.toLowerCase()) {
+            return res.status(422).json({ error: 'Chunk hash mismatch' });
+        }
+        
+        const chunkPath = path.join(DATA_DIR, req.params.key);
+        const tempPath = `${chunkPath}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+        await fs.writeFile(tempPath, body);
+        await fs.rename(tempPath, chunkPath);
+        
+        res.status(201).json({ key: req.params.key, size: body.length });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Read a chunk
+app.get('/chunks/:key', async (req, res) => {
+    try {
+        const chunkPath = path.join(DATA_DIR, req.params.key);
+        const stats = await fs.stat(chunkPath);
+        
+        res.set('Content-Type', 'application/octet-stream');
+        res.set('Content-Length', stats.size);
+        createReadStream(chunkPath)
+            .on('error', error => res.destroy(error))
+            .pipe(res);
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return res.status(404).json({ error: 'Chunk not found' });
+        }
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Delete a chunk; deleting a chunk that is not there is not an error
+app.delete('/chunks/:key', async (req, res) => {
+    try {
+        await fs.unlink(path.join(DATA_DIR, req.params.key));
+        res.json({ key: req.params.key, deleted: true });
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return res.json({ key: req.params.key, deleted: false });
+        }
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Start node
+async function startNode() {
+    await fs.mkdir(DATA_DIR, { recursive: true });
+    
+    app.listen(PORT, () => {
+        console.log(`Storage node ${NODE_ID} serving ${DATA_DIR} on http://localhost:${PORT}`);
+    });
+}
+
+startNode().catch(error => {
+    console.error(`Storage node ${NODE_ID} failed to start:`, error);
+    process.exit(1);
+});
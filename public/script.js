@@ -1,11 +1,195 @@
+// Signed-in session. The token is kept in localStorage and sent with every API request.
+const auth = {
+    tokenKey: 'cosmeon-token',
+    user: null,
+
+    get token() {
+        return localStorage.getItem(this.tokenKey) || '';
+    },
+
+    isAdmin() {
+        return Boolean(this.user && this.user.role === 'admin');
+    },
+
+    async fetch(url, options = {}) {
+        const response = await fetch(url, {
+            ...options,
+            headers: {
+                ...options.headers,
+                Authorization: `Bearer ${this.token}`
+            }
+        });
+        if (response.status === 401) {
+            this.showLogin();
+        }
+        return response;
+    },
+
+    // Signed URL for links the browser follows itself, such as downloads. Signed links expire
+    // after a few minutes, so ask for one right before it is used.
+    async link(url) {
+        const response = await this.fetch('/api/auth/link', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ url })
+        });
+        const result = await response.json();
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+        return result.url;
+    },
+
+    // Save the response of a GET /api URL as fileName
+    async download(url, fileName) {
+        const link = document.createElement('a');
+        link.href = await this.link(url);
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+    },
+
+    // Resolve the signed-in user, asking for a sign-in first if needed, then start the page
+    async start(onReady) {
+        this.onReady = onReady;
+        document.getElementById('loginForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.login();
+        });
+        document.getElementById('logoutBtn').addEventListener('click', () => this.logout());
+
+        if (this.token) {
+            const response = await fetch('/api/auth/me', {
+                headers: { Authorization: `Bearer ${this.token}` }
+            });
+            if (response.ok) {
+                const result = await response.json();
+                this.ready(result.user, result.storage);
+                return;
+            }
+        }
+        this.showLogin();
+    },
+
+    ready(user, storage) {
+        this.user = user;
+        document.body.classList.toggle('is-admin', this.isAdmin());
+        document.getElementById('loginOverlay').style.display = 'none';
+        document.getElementById('userBadge').innerHTML = `<i class="fas fa-user-astronaut"></i> ${escapeHtml(user.username)} (${escapeHtml(user.role)})`;
+        if (storage && storage.quota) {
+            document.getElementById('userBadge').title =
+                `${Dashboard.prototype.formatBytes(storage.used)} of ${Dashboard.prototype.formatBytes(storage.quota)} quota used`;
+        }
+        document.getElementById('logoutBtn').style.display = '';
+
+        const onReady = this.onReady;
+        this.onReady = null;
+        if (onReady) {
+            onReady(user);
+        }
+    },
+
+    showLogin() {
+        document.getElementById('loginOverlay').style.display = 'flex';
+        document.getElementById('loginUsername').focus();
+    },
+
+    async login() {
+        const loginError = document.getElementById('loginError');
+        loginError.textContent = '';
+        try {
+            const response = await fetch('/api/auth/login', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    username: document.getElementById('loginUsername').value,
+                    password: document.getElementById('loginPassword').value
+                })
+            });
+            const result = await response.json();
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+
+            localStorage.setItem(this.tokenKey, result.token);
+            document.getElementById('loginPassword').value = '';
+            if (this.onReady) {
+                this.ready(result.user, result.storage);
+            } else {
+                // Signed in again after the token expired; reload so every panel refreshes
+                window.location.reload();
+            }
+        } catch (error) {
+            loginError.textContent = error.message;
+        }
+    },
+
+    async logout() {
+        await this.fetch('/api/auth/logout', { method: 'POST' }).catch(() => {});
+        localStorage.removeItem(this.tokenKey);
+        window.location.reload();
+    }
+};
+
+// Live events from /api/events. The browser reconnects by itself and resends the last event id, so
+// missed events are replayed; a `reset` event (e.g. after a server restart) means reload everything.
+const liveEvents = {
+    source: null,
+    lastEventId: '',
+    handlers: {},
+
+    subscribe(handlers) {
+        this.handlers = handlers;
+        this.connect();
+    },
+
+    async connect() {
+        const url = this.lastEventId ? `/api/events?lastEventId=${encodeURIComponent(this.lastEventId)}` : '/api/events';
+        try {
+            this.source = new EventSource(await auth.link(url));
+        } catch (error) {
+            // Signed out or server unreachable; keep trying until a link can be signed again
+            setTimeout(() => this.connect(), 5000);
+            return;
+        }
+        ['ready', 'reset', ...Object.keys(this.handlers)].forEach(type => {
+            this.source.addEventListener(type, (event) => {
+                this.lastEventId = event.lastEventId || this.lastEventId;
+                if (this.handlers[type]) {
+                    this.handlers[type](JSON.parse(event.data));
+                }
+            });
+        });
+
+        // The browser gives up when the server refuses the stream, e.g. because the signed link or
+        // the token expired. Check the session (which asks for a sign-in on 401) and try again.
+        this.source.onerror = () => {
+            if (this.source.readyState !== EventSource.CLOSED) return;
+            this.source = null;
+            setTimeout(async () => {
+                try {
+                    const response = await auth.fetch('/api/auth/me');
+                    if (!response.ok) return;
+                } catch (error) {
+                    // Server unreachable; the new connection keeps retrying
+                }
+                this.connect();
+            }, 5000);
+        };
+    }
+};
+
 class CosmeonFS {
     constructor() {
-        this.baseUrl = 'http://localhost:3000/api';
+        this.baseUrl = '/api';
         this.initializeEventListeners();
         this.loadNodes();
         this.loadFiles();
         this.loadLogs();
-        this.setupAutoRefresh();
+        this.subscribeToEvents();
     }
 
     initializeEventListeners() {
@@ -49,8 +233,11 @@ class CosmeonFS {
         if (!files.length) return;
 
         const file = files[0];
-        const formData = new FormData();
-        formData.append('file', file);
+        const options = {
+            coding: document.getElementById('redundancyMode').value,
+            compression: document.getElementById('compressionCodec').value,
+            placement: document.getElementById('placementPolicy').value
+        };
 
         const progressBar = document.getElementById('progressFill');
         const progressText = document.getElementById('progressText');
@@ -58,20 +245,43 @@ class CosmeonFS {
 
         uploadProgress.style.display = 'block';
         progressBar.style.width = '0%';
-        progressText.textContent = 'Uploading...';
+        progressBar.style.background = '';
+        progressText.textContent = 'Preparing upload...';
 
         try {
-            const response = await fetch(`${this.baseUrl}/upload`, {
-                method: 'POST',
-                body: formData
+            // Resume an interrupted upload of the same file, or open a new session
+            const session = await this.openUploadSession(file, options);
+            const received = new Set(session.receivedParts);
+            let uploadedBytes = session.receivedParts.reduce((sum, n) => sum + this.partLength(session, n), 0);
+
+            const updateProgress = () => {
+                const percent = session.size > 0 ? (uploadedBytes / session.size) * 100 : 100;
+                progressBar.style.width = `${percent.toFixed(1)}%`;
+                progressText.textContent = `Uploading part ${received.size}/${session.totalParts} (${percent.toFixed(0)}%)`;
+            };
+            updateProgress();
+
+            for (let n = 0; n < session.totalParts; n++) {
+                if (received.has(n)) continue;
+
+                await this.uploadPart(session, file, n);
+                received.add(n);
+                uploadedBytes += this.partLength(session, n);
+                updateProgress();
+            }
+
+            progressText.textContent = 'Upload complete! Distributing chunks...';
+
+            const response = await auth.fetch(`${this.baseUrl}/uploads/${session.sessionId}/commit`, {
+                method: 'POST'
             });
 
             const result = await response.json();
 
             if (result.success) {
+                localStorage.removeItem(this.uploadSessionKey(file, options));
                 progressBar.style.width = '100%';
-                progressText.textContent = 'Upload complete! Distributing chunks...';
-                
+
                 // Update UI
                 this.loadFiles();
                 this.loadNodes();
@@ -86,12 +296,80 @@ class CosmeonFS {
                 throw new Error(result.error);
             }
         } catch (error) {
-            progressText.textContent = `Upload failed: ${error.message}`;
+            progressText.textContent = `Upload failed: ${error.message} (drop the file again to resume)`;
             progressBar.style.background = 'linear-gradient(90deg, #ff416c, #ff4b2b)';
             this.showNotification(`Upload failed: ${error.message}`, 'error');
         }
     }
 
+    uploadSessionKey(file, options) {
+        return `cosmeon-upload:${file.name}:${file.size}:${file.lastModified}:${options.coding}:${options.compression}:${options.placement}`;
+    }
+
+    partLength(session, partNumber) {
+        return Math.min(session.partSize, session.size - partNumber * session.partSize);
+    }
+
+    async openUploadSession(file, options) {
+        const key = this.uploadSessionKey(file, options);
+        const savedSessionId = localStorage.getItem(key);
+
+        if (savedSessionId) {
+            const response = await auth.fetch(`${this.baseUrl}/uploads/${savedSessionId}`);
+            if (response.ok) {
+                return response.json();
+            }
+            localStorage.removeItem(key);
+        }
+
+        const response = await auth.fetch(`${this.baseUrl}/uploads`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ fileName: file.name, size: file.size, ...options })
+        });
+
+        const session = await response.json();
+        if (!session.success) {
+            throw new Error(session.error);
+        }
+
+        localStorage.setItem(key, session.sessionId);
+        return session;
+    }
+
+    async uploadPart(session, file, partNumber, attempts = 3) {
+        const start = partNumber * session.partSize;
+        const part = await file.slice(start, start + session.partSize).arrayBuffer();
+        const hash = await sha256Hex(part);
+
+        for (let attempt = 1; ; attempt++) {
+            try {
+                const response = await auth.fetch(`${this.baseUrl}/uploads/${session.sessionId}/parts/${partNumber}`, {
+                    method: 'PUT',
+                    headers: {
+                        'Content-Type': 'application/octet-stream',
+                        'X-Part-Hash': hash
+                    },
+                    body: part
+                });
+
+                const result = await response.json();
+                if (!result.success) {
+                    throw new Error(result.error);
+                }
+                return result;
+            } catch (error) {
+                if (attempt >= attempts) {
+                    throw error;
+                }
+                // Back off before retrying the same part
+                await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+            }
+        }
+    }
+
 
     // catch (error) {
         //     progressText.textContent = `Upload failed: ${error.message}`;
@@ -101,7 +379,7 @@ class CosmeonFS {
 
     async loadNodes() {
         try {
-            const response = await fetch(`${this.baseUrl}/nodes`);
+            const response = await auth.fetch(`${this.baseUrl}/nodes`);
             const data = await response.json();
 
             const nodesContainer = document.getElementById('nodesContainer');
@@ -111,14 +389,15 @@ class CosmeonFS {
                 const nodeElement = document.createElement('div');
                 nodeElement.className = `node ${node.status}`;
                 nodeElement.innerHTML = `
-                    <h3><i class="fas fa-satellite"></i> ${node.nodeId}</h3>
-                    <div class="node-status status-${node.status}">${node.status.toUpperCase()}</div>
+                    <h3><i class="fas fa-satellite"></i> ${escapeHtml(node.nodeId)}</h3>
+                    <div class="node-status status-${escapeHtml(node.status)}">${escapeHtml(node.status.toUpperCase())}</div>
                     <p>Chunks: ${node.chunkCount}</p>
-                    <button class="btn ${node.status === 'online' ? 'btn-danger' : 'btn-success'}" 
-                            onclick="cosmeon.toggleNode('${node.nodeId}')">
-                        <i class="fas fa-power-off"></i> Turn ${node.status === 'online' ? 'Off' : 'On'}
+                    <p>Last seen: ${node.lastSeen ? new Date(node.lastSeen).toLocaleTimeString() : 'never'}</p>
+                    <button class="btn ${node.adminDown ? 'btn-success' : 'btn-danger'} admin-only">
+                        <i class="fas fa-power-off"></i> Turn ${node.adminDown ? 'On' : 'Off'}
                     </button>
                 `;
+                nodeElement.querySelector('button').addEventListener('click', () => this.toggleNode(node.nodeId));
                 nodesContainer.appendChild(nodeElement);
             });
         } catch (error) {
@@ -128,29 +407,72 @@ class CosmeonFS {
 
     async loadFiles() {
         try {
-            const response = await fetch(`${this.baseUrl}/metadata`);
+            const response = await auth.fetch(`${this.baseUrl}/metadata`);
             const data = await response.json();
 
             const filesList = document.getElementById('filesList');
             filesList.innerHTML = '';
 
-            Object.values(data.files || {}).forEach(file => {
+            // One entry per logical path: the current version, with older versions listed underneath
+            Object.values(data.paths || {}).forEach(entry => {
+                const versions = entry.versions.filter(version => data.files[version.fileId]);
+                if (!versions.length) return;
+
+                const file = data.files[versions[versions.length - 1].fileId];
+                const history = versions.slice(0, -1).reverse().map(version => {
+                    const old = data.files[version.fileId];
+                    return `
+                        <div class="version-item">
+                            <span>v${version.version} &middot; ${(old.size / 1024).toFixed(2)} KB &middot; ${new Date(old.uploadedAt).toLocaleString()}</span>
+                            <div class="file-actions">
+                                <button class="btn btn-secondary" data-download="${escapeHtml(old.fileId)}">
+                                    <i class="fas fa-download"></i>
+                                </button>
+                                <button class="btn btn-primary" data-rollback="${version.version}">
+                                    <i class="fas fa-undo"></i> Restore
+                                </button>
+                            </div>
+                        </div>
+                    `;
+                }).join('');
+
                 const fileElement = document.createElement('div');
                 fileElement.className = 'file-item';
                 fileElement.innerHTML = `
                     <div class="file-header">
-                        <span class="file-name">${file.originalName}</span>
-                        <button class="btn btn-primary" onclick="cosmeon.reconstructFile('${file.fileId}', '${file.originalName}')">
-                            <i class="fas fa-puzzle-piece"></i> Reconstruct
-                        </button>
+                        <span class="file-name">${file.encryption ? '<i class="fas fa-lock" title="Encrypted at rest"></i> ' : ''}${escapeHtml(entry.path)} <span class="version-badge">v${file.version}</span></span>
+                        <div class="file-actions">
+                            <button class="btn btn-primary" id="reconstruct-${escapeHtml(file.fileId)}" data-action="reconstruct">
+                                <i class="fas fa-puzzle-piece"></i> Reconstruct
+                            </button>
+                            <button class="btn btn-danger" data-action="delete">
+                                <i class="fas fa-trash"></i> Delete
+                            </button>
+                        </div>
                     </div>
                     <div class="file-meta">
-                        <span><i class="fas fa-hashtag"></i> ${file.fileId}</span>
+                        <span><i class="fas fa-hashtag"></i> ${escapeHtml(file.fileId)}</span>
                         <span><i class="fas fa-cubes"></i> ${file.totalChunks} chunks</span>
+                        <span><i class="fas fa-clone"></i> ${file.coding ?
+                            `RS ${file.coding.dataShards}+${file.coding.parityShards}` :
+                            `${file.replicationFactor || 1}x replicated`}</span>
                         <span><i class="fas fa-weight-hanging"></i> ${(file.size / 1024).toFixed(2)} KB</span>
                         <span><i class="fas fa-calendar"></i> ${new Date(file.uploadedAt).toLocaleDateString()}</span>
                     </div>
+                    ${history ? `
+                    <details class="file-versions">
+                        <summary><i class="fas fa-history"></i> ${versions.length - 1} older version(s)</summary>
+                        ${history}
+                    </details>` : ''}
                 `;
+                fileElement.querySelector('[data-action="reconstruct"]')
+                    .addEventListener('click', () => this.reconstructFile(file.fileId, file.originalName));
+                fileElement.querySelector('[data-action="delete"]')
+                    .addEventListener('click', () => this.deleteFile(file.fileId, file.originalName));
+                fileElement.querySelectorAll('[data-download]').forEach(button =>
+                    button.addEventListener('click', () => this.downloadFile(button.dataset.download, data.files[button.dataset.download].originalName)));
+                fileElement.querySelectorAll('[data-rollback]').forEach(button =>
+                    button.addEventListener('click', () => this.rollbackVersion(entry.path, Number(button.dataset.rollback))));
                 filesList.appendChild(fileElement);
             });
         } catch (error) {
@@ -159,22 +481,15 @@ class CosmeonFS {
     }
 
     async loadLogs() {
+        if (!auth.isAdmin()) return;
+
         try {
-            const response = await fetch(`${this.baseUrl}/logs`);
+            const response = await auth.fetch(`${this.baseUrl}/logs`);
             const data = await response.json();
 
             const logsContainer = document.getElementById('logsContainer');
             logsContainer.innerHTML = '';
-
-            data.logs.forEach(log => {
-                const logElement = document.createElement('div');
-                logElement.className = `log-entry ${log.type}`;
-                logElement.innerHTML = `
-                    <span class="log-timestamp">${new Date(log.timestamp).toLocaleTimeString()}</span>
-                    <span class="log-message">${log.message}</span>
-                `;
-                logsContainer.appendChild(logElement);
-            });
+            data.logs.forEach(log => logsContainer.appendChild(renderLogEntry(log)));
         } catch (error) {
             console.error('Error loading logs:', error);
         }
@@ -182,7 +497,7 @@ class CosmeonFS {
 
     async toggleNode(nodeId) {
         try {
-            const response = await fetch(`${this.baseUrl}/nodes/${nodeId}/toggle`, {
+            const response = await auth.fetch(`${this.baseUrl}/nodes/${nodeId}/toggle`, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json'
@@ -206,7 +521,7 @@ class CosmeonFS {
         try {
             this.showNotification(`Reconstructing ${fileName}...`, 'info');
             
-            const response = await fetch(`${this.baseUrl}/reconstruct/${fileId}`, {
+            const response = await auth.fetch(`${this.baseUrl}/reconstruct/${fileId}`, {
                 method: 'POST'
             });
 
@@ -214,13 +529,7 @@ class CosmeonFS {
             
             if (result.success) {
                 if (result.status === 'success') {
-                    // Download the file
-                    const link = document.createElement('a');
-                    link.href = result.downloadUrl;
-                    link.download = fileName;
-                    document.body.appendChild(link);
-                    link.click();
-                    document.body.removeChild(link);
+                    await auth.download(result.downloadUrl, fileName);
                     
                     this.showNotification(`${fileName} reconstructed and downloaded successfully!`, 'success');
                 } else if (result.status === 'partial') {
@@ -242,14 +551,74 @@ class CosmeonFS {
         }
     }
 
+    async downloadFile(fileId, fileName) {
+        try {
+            await auth.download(`${this.baseUrl}/download/${fileId}`, fileName);
+        } catch (error) {
+            this.showNotification(`Download failed: ${error.message}`, 'error');
+        }
+    }
+
+    async deleteFile(fileId, fileName) {
+        if (!confirm(`Delete ${fileName} and all of its chunks?`)) return;
+
+        try {
+            const response = await auth.fetch(`${this.baseUrl}/files/${fileId}`, {
+                method: 'DELETE'
+            });
+
+            const result = await response.json();
+
+            if (result.success) {
+                this.showNotification(result.message, result.queuedChunks > 0 ? 'warning' : 'success');
+                this.loadFiles();
+                this.loadNodes();
+                this.loadLogs();
+            } else {
+                throw new Error(result.error);
+            }
+        } catch (error) {
+            console.error('Error deleting file:', error);
+            this.showNotification(`Delete failed: ${error.message}`, 'error');
+        }
+    }
+
+    async rollbackVersion(logicalPath, version) {
+        if (!confirm(`Restore ${logicalPath} to version ${version}?`)) return;
+
+        try {
+            const response = await auth.fetch(`${this.baseUrl}/versions/rollback`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ path: logicalPath, version })
+            });
+
+            const result = await response.json();
+
+            if (result.success) {
+                this.showNotification(result.message, 'success');
+                this.loadFiles();
+                this.loadLogs();
+            } else {
+                throw new Error(result.error);
+            }
+        } catch (error) {
+            console.error('Error rolling back file:', error);
+            this.showNotification(`Rollback failed: ${error.message}`, 'error');
+        }
+    }
+
     showNotification(message, type = 'info') {
         // Create notification element
         const notification = document.createElement('div');
         notification.className = `notification ${type}`;
         notification.innerHTML = `
             <i class="fas fa-${type === 'success' ? 'check-circle' : type === 'error' ? 'exclamation-circle' : 'info-circle'}"></i>
-            <span>${message}</span>
+            <span></span>
         `;
+        notification.querySelector('span').textContent = message;
 
         // Add to page
         document.body.appendChild(notification);
@@ -270,36 +639,71 @@ class CosmeonFS {
         }, 3000);
     }
 
-    setupAutoRefresh() {
-        // Auto-refresh logs every 10 seconds
-        setInterval(() => {
-            this.loadLogs();
-        }, 10000);
-
-        // Auto-refresh nodes every 30 seconds
-        setInterval(() => {
+    // Refresh the node and file lists once a burst of events has settled
+    scheduleRefresh() {
+        clearTimeout(this.refreshTimer);
+        this.refreshTimer = setTimeout(() => {
             this.loadNodes();
             this.loadFiles();
-        }, 30000);
+        }, 500);
+    }
+
+    subscribeToEvents() {
+        liveEvents.subscribe({
+            log: (log) => {
+                if (!auth.isAdmin()) return;
+                const logsContainer = document.getElementById('logsContainer');
+                logsContainer.prepend(renderLogEntry(log));
+                while (logsContainer.children.length > 100) {
+                    logsContainer.lastChild.remove();
+                }
+            },
+            'node.status': () => this.loadNodes(),
+            'node.state': () => this.loadNodes(),
+            'chunk.stored': () => this.scheduleRefresh(),
+            'file.changed': () => this.scheduleRefresh(),
+            'reconstruct.progress': (progress) => {
+                const button = document.getElementById(`reconstruct-${progress.fileId}`);
+                if (button) {
+                    button.innerHTML = progress.checked < progress.total ?
+                        `<i class="fas fa-spinner fa-spin"></i> ${progress.checked}/${progress.total}` :
+                        '<i class="fas fa-puzzle-piece"></i> Reconstruct';
+                }
+            },
+            reset: () => {
+                this.loadNodes();
+                this.loadFiles();
+                this.loadLogs();
+            }
+        });
     }
 }
 
 // Dashboard-specific functionality
 class Dashboard {
     constructor() {
-        this.baseUrl = 'http://localhost:3000/api';
+        this.baseUrl = '/api';
         this.initializeDashboard();
-        this.setupAutoRefresh();
+        this.subscribeToEvents();
     }
 
     async initializeDashboard() {
+        document.getElementById('registerNodeForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.registerNode();
+        });
+        document.getElementById('repairScanBtn').addEventListener('click', () => this.scanForRepairs());
+        document.getElementById('scrubBtn').addEventListener('click', () => this.runScrub());
+        document.getElementById('rebalancePreviewBtn').addEventListener('click', () => this.runRebalance(true));
+        document.getElementById('rebalanceBtn').addEventListener('click', () => this.runRebalance(false));
+
         await this.loadDashboardData();
         this.loadLogs();
     }
 
     async loadDashboardData() {
         try {
-            const response = await fetch(`${this.baseUrl}/dashboard`);
+            const response = await auth.fetch(`${this.baseUrl}/dashboard`);
             const data = await response.json();
 
             // Update stats
@@ -308,6 +712,12 @@ class Dashboard {
                 data.nodes.filter(n => n.status === 'online').length;
             document.getElementById('totalFiles').textContent = data.totalFiles;
             document.getElementById('totalChunks').textContent = data.totalChunks;
+            document.getElementById('logicalSize').textContent = this.formatBytes(data.logicalSize);
+            document.getElementById('physicalSize').textContent = this.formatBytes(data.physicalSize);
+            document.getElementById('dedupRatio').textContent = `${data.dedupRatio.toFixed(2)}x`;
+            document.getElementById('freeSpace').textContent = data.capacity.cluster.capacity ?
+                `${this.formatBytes(data.capacity.cluster.free)} / ${this.formatBytes(data.capacity.cluster.capacity)}` : 'Unlimited';
+            this.uptime = { seconds: data.systemUptime, at: Date.now() };
             document.getElementById('systemUptime').textContent = 
                 this.formatUptime(data.systemUptime);
 
@@ -315,7 +725,11 @@ class Dashboard {
             this.updateChunkChart(data.chunkDistribution);
             
             // Update nodes list
-            this.updateNodesList(data.nodes);
+            this.updateNodesList(data.nodes, data.compressionSavings || {}, data.capacity.nodes, data.healthScores || {});
+
+            this.loadRepairStatus();
+            this.loadScrubStatus();
+            this.loadRebalanceStatus();
 
         } catch (error) {
             console.error('Error loading dashboard data:', error);
@@ -335,7 +749,7 @@ class Dashboard {
             chartItem.className = 'chart-item';
             chartItem.innerHTML = `
                 <div class="chart-label">
-                    <span>${node}</span>
+                    <span>${escapeHtml(node)}</span>
                     <span>${chunks} chunks</span>
                 </div>
                 <div class="chart-bar">
@@ -346,52 +760,271 @@ class Dashboard {
         });
     }
 
-    updateNodesList(nodes) {
+    updateNodesList(nodes, compressionSavings, capacity, healthScores) {
         const nodesList = document.getElementById('nodesStatusList');
         nodesList.innerHTML = '';
 
         nodes.forEach(node => {
+            const space = capacity[node.nodeId] || { used: 0, capacity: null };
+            const used = this.formatBytes(space.used);
+            const labels = Object.entries(node.labels || {}).map(([key, value]) => `${key}=${value}`).join(', ');
+            const actions = node.state === 'active' ?
+                '<button class="btn btn-secondary" data-action="drain"><i class="fas fa-sign-out-alt"></i> Drain</button>' :
+                '<button class="btn btn-secondary" data-action="activate"><i class="fas fa-undo"></i> Activate</button>';
+
             const nodeItem = document.createElement('div');
             nodeItem.className = 'status-item';
             nodeItem.innerHTML = `
                 <div class="status-header">
-                    <span class="status-node ${node.status}">
-                        <i class="fas fa-satellite"></i> ${node.nodeId}
+                    <span class="status-node ${escapeHtml(node.status)}">
+                        <i class="fas fa-satellite"></i> ${escapeHtml(node.nodeId)}
                     </span>
-                    <span class="status-badge ${node.status}">${node.status.toUpperCase()}</span>
+                    <span class="status-badge ${escapeHtml(node.status)}">${escapeHtml(node.status.toUpperCase())}</span>
+                    ${node.state !== 'active' ? `<span class="status-badge ${escapeHtml(node.state)}">${escapeHtml(node.state.toUpperCase())}</span>` : ''}
                 </div>
                 <div class="status-details">
                     <span><i class="fas fa-cubes"></i> ${node.chunkCount} chunks</span>
-                    <span><i class="fas fa-clock"></i> ${new Date(node.lastSeen).toLocaleTimeString()}</span>
+                    <span><i class="fas fa-hdd"></i> ${space.capacity ?
+                        `${used} / ${this.formatBytes(space.capacity)} (${this.formatBytes(space.free)} free)` : `${used} (no capacity limit)`}</span>
+                    <span><i class="fas fa-compress-alt"></i> ${this.formatBytes(compressionSavings[node.nodeId] || 0)} saved</span>
+                    <span><i class="fas fa-heartbeat"></i> ${healthScores[node.nodeId] !== undefined && healthScores[node.nodeId] !== null ?
+                        `${healthScores[node.nodeId]}% healthy` : 'not scrubbed'}</span>
+                    <span><i class="fas fa-clock"></i> ${node.lastSeen ? new Date(node.lastSeen).toLocaleTimeString() : 'never seen'}</span>
+                    <span><i class="fas fa-link"></i> ${escapeHtml(node.url)}</span>
+                    ${labels ? `<span><i class="fas fa-tags"></i> ${escapeHtml(labels)}</span>` : ''}
+                </div>
+                <div class="file-actions">
+                    ${actions}
+                    <button class="btn btn-danger" data-action="decommission"><i class="fas fa-trash"></i> Decommission</button>
                 </div>
             `;
+            nodeItem.querySelectorAll('[data-action]').forEach(button =>
+                button.addEventListener('click', () => this[`${button.dataset.action}Node`](node.nodeId)));
             nodesList.appendChild(nodeItem);
         });
     }
 
+    async registerNode() {
+        const nodeId = document.getElementById('newNodeId').value.trim();
+        const capacityGb = parseFloat(document.getElementById('newNodeCapacity').value);
+        const labels = {};
+        document.getElementById('newNodeLabels').value.split(',').forEach(pair => {
+            const [key, value] = pair.split('=').map(part => part && part.trim());
+            if (key && value) labels[key] = value;
+        });
+
+        await this.nodeRequest('POST', '', {
+            nodeId,
+            url: document.getElementById('newNodeUrl').value.trim(),
+            capacity: capacityGb > 0 ? Math.round(capacityGb * 1024 * 1024 * 1024) : null,
+            labels
+        });
+        document.getElementById('registerNodeForm').reset();
+    }
+
+    async drainNode(nodeId) {
+        if (!confirm(`Drain ${nodeId}? Its chunks will be moved to other nodes.`)) return;
+        await this.nodeRequest('POST', `/${nodeId}/drain`);
+    }
+
+    async activateNode(nodeId) {
+        await this.nodeRequest('POST', `/${nodeId}/activate`);
+    }
+
+    async decommissionNode(nodeId) {
+        if (!confirm(`Decommission ${nodeId}? It must not hold any chunks.`)) return;
+        await this.nodeRequest('DELETE', `/${nodeId}`);
+    }
+
+    async nodeRequest(method, suffix, body = {}) {
+        try {
+            const response = await auth.fetch(`${this.baseUrl}/nodes${suffix}`, {
+                method,
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(body)
+            });
+
+            const result = await response.json();
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+        } catch (error) {
+            console.error('Node request failed:', error);
+            alert(`Node operation failed: ${error.message}`);
+        }
+
+        this.loadDashboardData();
+        this.loadLogs();
+    }
+
+    async loadRepairStatus() {
+        try {
+            const response = await auth.fetch(`${this.baseUrl}/repair`);
+            const data = await response.json();
+
+            document.getElementById('repairSummary').innerHTML = `
+                <span><i class="fas fa-${data.running ? 'sync fa-spin' : 'check'}"></i> ${data.running ? 'Repairing' : 'Idle'}</span>
+                <span><i class="fas fa-list"></i> ${data.queueDepth} queued</span>
+                <span><i class="fas fa-wrench"></i> ${data.repaired} repaired</span>
+                <span><i class="fas fa-times-circle"></i> ${data.failed} failed</span>
+                ${data.current ? `<span><i class="fas fa-cube"></i> ${escapeHtml(data.current.key.slice(0, 12))} (${escapeHtml(data.current.reason)})</span>` : ''}
+            `;
+
+            const recent = document.getElementById('repairRecent');
+            recent.innerHTML = '';
+            data.recent.forEach(job => {
+                const entry = document.createElement('div');
+                entry.className = `log-entry ${job.action === 'failed' ? 'error' : 'info'}`;
+                entry.innerHTML = `
+                    <span class="log-timestamp">${new Date(job.finishedAt).toLocaleTimeString()}</span>
+                    <span class="log-message"></span>
+                `;
+                entry.querySelector('.log-message').textContent =
+                    `${job.key.slice(0, 12)} ${job.action}${job.error ? `: ${job.error}` : ''} (${job.reason})`;
+                recent.appendChild(entry);
+            });
+        } catch (error) {
+            console.error('Error loading repair status:', error);
+        }
+    }
+
+    async loadScrubStatus() {
+        try {
+            const response = await auth.fetch(`${this.baseUrl}/scrub`);
+            const data = await response.json();
+            const summary = document.getElementById('scrubSummary');
+
+            if (!data.report) {
+                summary.innerHTML = `<span><i class="fas fa-info-circle"></i> ${data.running ? 'Scrubbing...' : 'No scrub has run yet'}</span>`;
+                return;
+            }
+
+            const { totals, finishedAt } = data.report;
+            summary.innerHTML = `
+                <span><i class="fas fa-${data.running ? 'sync fa-spin' : 'clock'}"></i> ${data.running ? 'Scrubbing...' : new Date(finishedAt).toLocaleString()}</span>
+                <span><i class="fas fa-check"></i> ${totals.ok}/${totals.checked} intact</span>
+                <span><i class="fas fa-question-circle"></i> ${totals.missing} missing</span>
+                <span><i class="fas fa-bug"></i> ${totals.corrupt} corrupt</span>
+                <span><i class="fas fa-ghost"></i> ${totals.orphaned} orphaned</span>
+            `;
+        } catch (error) {
+            console.error('Error loading scrub status:', error);
+        }
+    }
+
+    async runScrub() {
+        document.getElementById('scrubSummary').innerHTML = '<span><i class="fas fa-sync fa-spin"></i> Scrubbing...</span>';
+        try {
+            const response = await auth.fetch(`${this.baseUrl}/scrub`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({})
+            });
+            const result = await response.json();
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+        } catch (error) {
+            console.error('Scrub failed:', error);
+            alert(`Scrub failed: ${error.message}`);
+        }
+        this.loadDashboardData();
+        this.loadLogs();
+    }
+
+    async loadRebalanceStatus() {
+        try {
+            const response = await auth.fetch(`${this.baseUrl}/rebalance`);
+            const data = await response.json();
+            const lastRun = data.lastRun;
+
+            document.getElementById('rebalanceSummary').innerHTML = `
+                <span><i class="fas fa-${data.running ? 'sync fa-spin' : 'balance-scale'}"></i> ${data.running ? 'Rebalancing...' : `${(data.imbalance * 100).toFixed(0)}% imbalance (limit ${(data.threshold * 100).toFixed(0)}%)`}</span>
+                <span><i class="fas fa-clock"></i> ${lastRun ? `Last run ${new Date(lastRun.finishedAt).toLocaleString()}, moved ${this.formatBytes(lastRun.movedBytes)}` : 'No rebalance has run yet'}</span>
+            `;
+        } catch (error) {
+            console.error('Error loading rebalance status:', error);
+        }
+    }
+
+    async runRebalance(dryRun) {
+        if (!dryRun && !confirm('Move chunks between nodes now?')) {
+            return;
+        }
+        try {
+            const response = await auth.fetch(`${this.baseUrl}/rebalance`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ dryRun })
+            });
+            const result = await response.json();
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+            if (dryRun) {
+                alert(result.moves.length > 0 ?
+                    `${result.moves.length} chunk moves (${this.formatBytes(result.plannedBytes)}) would bring every node within ${(result.threshold * 100).toFixed(0)}% of its share.` :
+                    'The cluster is balanced; nothing would move.');
+            }
+        } catch (error) {
+            console.error('Rebalance failed:', error);
+            alert(`Rebalance failed: ${error.message}`);
+        }
+        this.loadDashboardData();
+        this.loadLogs();
+    }
+
+    async scanForRepairs() {
+        try {
+            const response = await auth.fetch(`${this.baseUrl}/repair`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({})
+            });
+            const result = await response.json();
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+        } catch (error) {
+            console.error('Repair scan failed:', error);
+            alert(`Repair scan failed: ${error.message}`);
+        }
+        this.loadRepairStatus();
+    }
+
     async loadLogs() {
         try {
-            const response = await fetch(`${this.baseUrl}/logs`);
+            const response = await auth.fetch(`${this.baseUrl}/logs?limit=20`);
             const data = await response.json();
 
             const logsContainer = document.getElementById('dashboardLogs');
             logsContainer.innerHTML = '';
 
-            // Show only last 20 logs
-            data.logs.slice(0, 20).forEach(log => {
-                const logElement = document.createElement('div');
-                logElement.className = `log-entry ${log.type}`;
-                logElement.innerHTML = `
-                    <span class="log-timestamp">${new Date(log.timestamp).toLocaleTimeString()}</span>
-                    <span class="log-message">${log.message}</span>
-                `;
-                logsContainer.appendChild(logElement);
-            });
+            data.logs.forEach(log => logsContainer.appendChild(renderLogEntry(log)));
         } catch (error) {
             console.error('Error loading logs:', error);
         }
     }
 
+    formatBytes(bytes) {
+        const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+        let value = bytes;
+        let unit = 0;
+        while (value >= 1024 && unit < units.length - 1) {
+            value /= 1024;
+            unit++;
+        }
+        return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+    }
+
     formatUptime(seconds) {
         const hours = Math.floor(seconds / 3600);
         const minutes = Math.floor((seconds % 3600) / 60);
@@ -399,22 +1032,129 @@ class Dashboard {
         return `${hours}h ${minutes}m ${secs}s`;
     }
 
-    setupAutoRefresh() {
-        // Auto-refresh dashboard every 5 seconds
+    // Reload the dashboard once a burst of events has settled
+    scheduleRefresh() {
+        clearTimeout(this.refreshTimer);
+        this.refreshTimer = setTimeout(() => this.loadDashboardData(), 1000);
+    }
+
+    subscribeToEvents() {
+        liveEvents.subscribe({
+            log: (log) => {
+                const logsContainer = document.getElementById('dashboardLogs');
+                logsContainer.prepend(renderLogEntry(log));
+                while (logsContainer.children.length > 20) {
+                    logsContainer.lastChild.remove();
+                }
+                // Scrubs, drains and rebalances report through the log
+                this.scheduleRefresh();
+            },
+            'node.status': () => this.scheduleRefresh(),
+            'node.state': () => this.scheduleRefresh(),
+            'chunk.stored': () => this.scheduleRefresh(),
+            'file.changed': () => this.scheduleRefresh(),
+            'repair.progress': () => this.loadRepairStatus(),
+            reset: () => {
+                this.loadDashboardData();
+                this.loadLogs();
+            }
+        });
+
+        // The uptime counter ticks locally between refreshes
         setInterval(() => {
-            this.loadDashboardData();
-            this.loadLogs();
-        }, 5000);
+            if (this.uptime) {
+                document.getElementById('systemUptime').textContent =
+                    this.formatUptime(this.uptime.seconds + (Date.now() - this.uptime.at) / 1000);
+            }
+        }, 1000);
     }
 }
 
-// Initialize the appropriate class based on current page
-if (window.location.pathname.includes('dashboard')) {
-    window.dashboard = new Dashboard();
-} else {
-    window.cosmeon = new CosmeonFS();
+// Log entry element shared by both pages
+function renderLogEntry(log) {
+    const logElement = document.createElement('div');
+    logElement.className = `log-entry ${log.level}`;
+    logElement.innerHTML = `
+        <span class="log-timestamp">${new Date(log.timestamp).toLocaleTimeString()}</span>
+        <span class="log-message"></span>
+    `;
+    logElement.querySelector('.log-message').textContent = log.message;
+    return logElement;
+}
+
+// Escape a value interpolated into HTML markup
+function escapeHtml(value) {
+    const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+    return String(value).replace(/[&<>"']/g, char => entities[char]);
+}
+
+// Hex SHA-256 of an ArrayBuffer. crypto.subtle only exists on secure origins (https or localhost),
+// so a page opened over plain http on a LAN address falls back to computing it in JavaScript.
+async function sha256Hex(buffer) {
+    const toHex = bytes => Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+    if (window.crypto && window.crypto.subtle) {
+        return toHex(new Uint8Array(await crypto.subtle.digest('SHA-256', buffer)));
+    }
+
+    const K = new Uint32Array([
+        0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+        0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+        0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+        0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+        0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+        0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+        0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+        0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+    ]);
+    const H = new Uint32Array([0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19]);
+
+    // Pad to a multiple of 64 bytes: 0x80, zeros, then the length in bits as a 64-bit big-endian number
+    const length = buffer.byteLength;
+    const padded = new Uint8Array(Math.ceil((length + 9) / 64) * 64);
+    padded.set(new Uint8Array(buffer));
+    padded[length] = 0x80;
+    const view = new DataView(padded.buffer);
+    view.setUint32(padded.length - 8, Math.floor(length / 0x20000000));
+    view.setUint32(padded.length - 4, (length * 8) >>> 0);
+
+    const W = new Uint32Array(64);
+    const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+    for (let offset = 0; offset < padded.length; offset += 64) {
+        for (let t = 0; t < 16; t++) {
+            W[t] = view.getUint32(offset + t * 4);
+        }
+        for (let t = 16; t < 64; t++) {
+            const s0 = rotr(W[t - 15], 7) ^ rotr(W[t - 15], 18) ^ (W[t - 15] >>> 3);
+            const s1 = rotr(W[t - 2], 17) ^ rotr(W[t - 2], 19) ^ (W[t - 2] >>> 10);
+            W[t] = W[t - 16] + s0 + W[t - 7] + s1;
+        }
+
+        let [a, b, c, d, e, f, g, h] = H;
+        for (let t = 0; t < 64; t++) {
+            const t1 = (h + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + K[t] + W[t]) >>> 0;
+            const t2 = ((rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) >>> 0;
+            [h, g, f, e, d, c, b, a] = [g, f, e, (d + t1) >>> 0, c, b, a, (t1 + t2) >>> 0];
+        }
+        H[0] += a; H[1] += b; H[2] += c; H[3] += d; H[4] += e; H[5] += f; H[6] += g; H[7] += h;
+    }
+
+    const digest = new Uint8Array(32);
+    const digestView = new DataView(digest.buffer);
+    H.forEach((word, i) => digestView.setUint32(i * 4, word));
+    return toHex(digest);
 }
 
+// Sign in, then initialize the appropriate class based on current page
+auth.start((user) => {
+    if (!window.location.pathname.includes('dashboard')) {
+        window.cosmeon = new CosmeonFS();
+    } else if (user.role === 'admin') {
+        window.dashboard = new Dashboard();
+    } else {
+        document.getElementById('adminNotice').style.display = 'block';
+    }
+});
+
 // Add notification styles dynamically
 const style = document.createElement('style');
 style.textContent = `
@@ -1,25 +1,67 @@
 const express = require('express');
 const multer = require('multer');
 const fs = require('fs').promises;
+const { createReadStream, readFileSync } = require('fs');
+const { Readable } = require('stream');
+const readline = require('readline');
 const path = require('path');
 const crypto = require('crypto');
+const zlib = require('zlib');
+const { promisify } = require('util');
 const cors = require('cors');
 
 const app = express();
-const PORT = 3000;
+const PORT = parseInt(process.env.PORT, 10) || 3000; // coordinator HTTP port
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean); // cross-origin callers allowed
 
 // Middleware
-app.use(cors());
+app.use(cors({ origin: CORS_ORIGINS.length > 0 ? CORS_ORIGINS : false }));
 app.use(express.json());
 app.use(express.static('public'));
-app.use('/nodes', express.static('nodes'));
+app.use('/api', authenticate);
 
 // Configuration
 const CHUNK_SIZE = 1024 * 1024; // 1MB chunks
-const NODES = ['node1', 'node2', 'node3', 'node4'];
+const DEFAULT_NODES = ['node1', 'node2', 'node3', 'node4']; // registered on first start
+const NODE_BASE_PORT = parseInt(process.env.NODE_BASE_PORT, 10) || 4001; // default nodes listen on consecutive ports
+const NODE_TIMEOUT = parseInt(process.env.NODE_TIMEOUT, 10) || 10000; // ms before a node request is abandoned
+const HEARTBEAT_INTERVAL = parseInt(process.env.HEARTBEAT_INTERVAL, 10) || 5000; // ms between node health probes
+const NODE_SUSPECT_TIMEOUT = parseInt(process.env.NODE_SUSPECT_TIMEOUT, 10) || 15000; // ms without a heartbeat before a node is suspect
+const NODE_OFFLINE_TIMEOUT = parseInt(process.env.NODE_OFFLINE_TIMEOUT, 10) || 30000; // ms without a heartbeat before a node is offline
+const REPAIR_SCAN_INTERVAL = parseInt(process.env.REPAIR_SCAN_INTERVAL, 10) || 60000; // ms between scans for under-replicated chunks
+const SCRUB_INTERVAL = parseInt(process.env.SCRUB_INTERVAL, 10) || 24 * 60 * 60 * 1000; // ms between integrity scrubs
+const SCRUB_RATE = parseInt(process.env.SCRUB_RATE, 10) || 10 * 1024 * 1024; // bytes per second the scrubber may read
+const ORPHAN_GRACE = 60 * 60 * 1000; // unreferenced chunk files younger than this may belong to an upload in progress
+const REBALANCE_THRESHOLD = parseFloat(process.env.REBALANCE_THRESHOLD) || 0.2; // allowed deviation from a node's fair share
+const REBALANCE_INTERVAL = parseInt(process.env.REBALANCE_INTERVAL, 10) || 10 * 60 * 1000; // ms between automatic balance checks
+const REBALANCE_MAX_BYTES = parseInt(process.env.REBALANCE_MAX_BYTES, 10) || 1024 * 1024 * 1024; // bytes moved per rebalance at most
+const REBALANCE_RATE = parseInt(process.env.REBALANCE_RATE, 10) || 10 * 1024 * 1024; // bytes per second a rebalance may move
+const DEFAULT_REPLICATION_FACTOR = parseInt(process.env.REPLICATION_FACTOR, 10) || 2; // copies per chunk
+const DEFAULT_DATA_SHARDS = parseInt(process.env.EC_DATA_SHARDS, 10) || 2; // erasure coding k
+const DEFAULT_PARITY_SHARDS = parseInt(process.env.EC_PARITY_SHARDS, 10) || 1; // erasure coding m
+const DEFAULT_COMPRESSION = process.env.COMPRESSION || 'none'; // none, gzip, deflate or brotli
+const DEFAULT_PLACEMENT = process.env.PLACEMENT_POLICY || 'round-robin'; // round-robin, capacity, consistent-hash or failure-domain
+const PLACEMENT_DOMAIN_LABEL = process.env.PLACEMENT_DOMAIN_LABEL || 'zone'; // node label the failure-domain policy spreads copies over
+const NODE_CAPACITY = parseInt(process.env.NODE_CAPACITY, 10) || null; // bytes per node unless its registry entry sets a capacity (null = unlimited)
+const MAX_UPLOAD_SIZE = parseInt(process.env.MAX_UPLOAD_SIZE, 10) || 0; // largest accepted file in bytes (0 = unlimited)
+const USER_QUOTA = parseInt(process.env.USER_QUOTA, 10) || 0; // bytes each user may store unless their account sets a quota (0 = unlimited)
+const VERSION_KEEP_LAST = parseInt(process.env.VERSION_KEEP_LAST, 10) || 0; // versions kept per path (0 = unlimited)
+const VERSION_MAX_AGE_DAYS = parseInt(process.env.VERSION_MAX_AGE_DAYS, 10) || 0; // older versions are pruned (0 = never)
 const NODES_DIR = path.join(__dirname, 'nodes');
+const REGISTRY_FILE = path.join(NODES_DIR, 'registry.json');
 const UPLOADS_DIR = path.join(__dirname, 'uploads');
+const SESSIONS_DIR = path.join(UPLOADS_DIR, 'sessions');
+const MAX_PART_SIZE = 16 * 1024 * 1024; // largest accepted resumable upload part
+const SESSION_TTL = 24 * 60 * 60 * 1000; // abandoned upload sessions are dropped after a day
 const METADATA_FILE = path.join(__dirname, 'metadata.json');
+const USERS_FILE = path.join(__dirname, 'users.json'); // accounts and API tokens, secrets stored hashed
+const LOGIN_TOKEN_TTL = parseInt(process.env.LOGIN_TOKEN_TTL, 10) || 12 * 60 * 60 * 1000; // ms a login token stays valid
+const LINK_TTL = parseInt(process.env.LINK_TTL, 10) || 5 * 60 * 1000; // ms a signed download link stays valid
+const LINK_SECRET = crypto.randomBytes(32); // signs download links, which therefore do not survive a restart
+const NODE_TOKEN = process.env.NODE_TOKEN || null; // shared secret sent to storage nodes, which require it when set
+const LOG_DIR = process.env.LOG_DIR || path.join(__dirname, 'logs'); // event log and audit trail
+const LOG_MAX_BYTES = parseInt(process.env.LOG_MAX_BYTES, 10) || 10 * 1024 * 1024; // event log size that triggers rotation
+const LOG_MAX_FILES = parseInt(process.env.LOG_MAX_FILES, 10) || 5; // rotated event logs kept besides the current one
 
 // Initialize system
 async function initializeSystem() {
@@ -27,32 +69,67 @@ async function initializeSystem() {
         // Create directories
         await fs.mkdir(NODES_DIR, { recursive: true });
         await fs.mkdir(UPLOADS_DIR, { recursive: true });
+        await fs.mkdir(SESSIONS_DIR, { recursive: true });
+        await fs.mkdir(LOG_DIR, { recursive: true });
         
-        // Create node directories
-        for (const node of NODES) {
-            const nodePath = path.join(NODES_DIR, node);
-            await fs.mkdir(nodePath, { recursive: true });
-            
-            // Create node status file
-            const statusFile = path.join(nodePath, 'status.json');
-            if (!await fileExists(statusFile)) {
-                await fs.writeFile(statusFile, JSON.stringify({
-                    nodeId: node,
-                    status: 'online',
-                    chunkCount: 0,
-                    lastSeen: new Date().toISOString()
-                }, null, 2));
-            }
+        // Pick up the audit trail where it left off
+        await loadAuditLog();
+        
+        // Load the node registry and create node directories. Temporary files left by a crash
+        // in the middle of a write are discarded; the file they were replacing is still intact.
+        await removeStaleTempFiles(REGISTRY_FILE);
+        await loadNodeRegistry();
+        for (const node of getNodeIds()) {
+            await createNodeDirectory(node);
+            await removeStaleTempFiles(path.join(NODES_DIR, node, 'status.json'));
+            await getNodeStatus(node); // fails on a corrupt status file
         }
         
-        // Initialize metadata file if it doesn't exist
+        // Initialize metadata file if it doesn't exist; refuse to start on a corrupt one
+        await removeStaleTempFiles(METADATA_FILE);
         if (!await fileExists(METADATA_FILE)) {
-            await fs.writeFile(METADATA_FILE, JSON.stringify({ files: {} }, null, 2));
+            await writeMetadata({ files: {}, objects: {}, paths: {} });
+        }
+        
+        // Load accounts, creating the first administrator on a fresh install
+        await removeStaleTempFiles(USERS_FILE);
+        const admin = await loadAuthStore();
+        
+        // Move chunk locations of older files into the shared object table, give files uploaded
+        // before versioning a logical path and files uploaded before accounts an owner
+        const metadata = await readMetadata();
+        const migrated = migrateMetadata(metadata);
+        const versioned = migrateVersions(metadata);
+        const owned = migrateOwners(metadata, admin);
+        if (migrated > 0 || versioned > 0 || owned > 0) {
+            await writeMetadata(metadata);
+            console.log(`Migrated ${migrated} chunks to content-addressed objects, ${versioned} files to versioned paths, ` +
+                `${owned} files to ${admin}`);
+        }
+        
+        // Drop abandoned resumable upload sessions
+        await cleanupExpiredSessions();
+        
+        // Probe every node once so placement starts from live state; this also
+        // finishes chunk deletions queued for nodes that have come back
+        await checkNodeHeartbeats();
+        for (const node of getNodeIds()) {
+            if ((await getNodeStatus(node)).status === 'online') {
+                await processPendingDeletions(node);
+            }
+        }
+        
+        // Resume drains interrupted by a restart
+        for (const node of getNodeIds()) {
+            if (nodeRegistry[node].state === 'draining') {
+                drainNode(node).catch(error => logEvent(`Drain of ${node} failed: ${error.message}`, 'error', { type: 'node.drain', nodeId: node }));
+            }
         }
         
         console.log('System initialized successfully');
     } catch (error) {
         console.error('Error initializing system:', error);
+        throw error;
     }
 }
 
@@ -71,185 +148,4343 @@ function generateHash(data) {
     return crypto.createHash('sha256').update(data).digest('hex');
 }
 
-// Read metadata
-async function readMetadata() {
+// Read a JSON file. A missing file yields `fallback`; a file that does not parse is an error,
+// never mistaken for an empty one.
+async function readJsonFile(filePath, fallback) {
+    let data;
+    try {
+        data = await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return fallback;
+        }
+        throw error;
+    }
     try {
-        const data = await fs.readFile(METADATA_FILE, 'utf8');
         return JSON.parse(data);
     } catch (error) {
-        return { files: {} };
+        throw new Error(`${filePath} is corrupt: ${error.message}`);
+    }
+}
+
+// Write JSON to a temporary file, flush it and rename it into place, so readers and a crash
+// only ever see the old or the new content
+async function writeJsonAtomic(filePath, value) {
+    const tempPath = `${filePath}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+    const handle = await fs.open(tempPath, 'w');
+    try {
+        await handle.writeFile(JSON.stringify(value, null, 2));
+        await handle.sync();
+    } finally {
+        await handle.close();
+    }
+    await fs.rename(tempPath, filePath);
+}
+
+// Delete temporary files an interrupted writeJsonAtomic left next to `filePath`
+async function removeStaleTempFiles(filePath) {
+    const dir = path.dirname(filePath);
+    const prefix = `${path.basename(filePath)}.`;
+    const entries = await fs.readdir(dir).catch(() => []);
+    for (const name of entries.filter(name => name.startsWith(prefix) && name.endsWith('.tmp'))) {
+        await fs.rm(path.join(dir, name), { force: true });
+        console.log(`Removed incomplete write ${name}`);
+    }
+}
+
+// Read-modify-write cycles on the same file run one after another
+const fileLocks = new Map();
+function withFileLock(filePath, task) {
+    const run = (fileLocks.get(filePath) || Promise.resolve()).then(task);
+    const settled = run.catch(() => {});
+    fileLocks.set(filePath, settled);
+    settled.then(() => {
+        if (fileLocks.get(filePath) === settled) {
+            fileLocks.delete(filePath);
+        }
+    });
+    return run;
+}
+
+// Read metadata
+async function readMetadata() {
+    const metadata = await readJsonFile(METADATA_FILE, { files: {} });
+    if (!metadata || typeof metadata.files !== 'object' || metadata.files === null) {
+        throw new Error(`${METADATA_FILE} is corrupt: no files table`);
     }
+    metadata.objects = metadata.objects || {};
+    metadata.paths = metadata.paths || {};
+    return metadata;
 }
 
-// Write metadata
+// Write metadata. Outside startup, change metadata through updateMetadata instead.
 async function writeMetadata(metadata) {
-    await fs.writeFile(METADATA_FILE, JSON.stringify(metadata, null, 2));
+    await writeJsonAtomic(METADATA_FILE, metadata);
+}
+
+// Apply a change to the latest metadata. Changes are serialized, so concurrent uploads, deletions
+// and repairs cannot overwrite each other; `mutate` edits the metadata in place and its result is
+// returned. Nothing is written if `mutate` throws or leaves the metadata unchanged.
+async function updateMetadata(mutate) {
+    return withFileLock(METADATA_FILE, async () => {
+        const metadata = await readMetadata();
+        const before = JSON.stringify(metadata);
+        const result = await mutate(metadata);
+        if (JSON.stringify(metadata) !== before) {
+            await writeMetadata(metadata);
+        }
+        return result;
+    });
 }
 
-// Get node status
+// Get node status. `status` is the effective state: online, suspect, offline, or down when
+// an administrator took the node out of service. `lastSeen` is the latest successful heartbeat.
 async function getNodeStatus(nodeId) {
+    const statusFile = path.join(NODES_DIR, nodeId, 'status.json');
+    const nodeStatus = await readJsonFile(statusFile, { nodeId, status: 'offline', chunkCount: 0, lastSeen: null });
+    if (nodeHeartbeats[nodeId] && nodeHeartbeats[nodeId].lastSeen) {
+        nodeStatus.lastSeen = nodeHeartbeats[nodeId].lastSeen;
+    }
+    return nodeStatus;
+}
+
+// Whether a node may be asked for chunks: online, or suspect (missing heartbeats but not yet offline)
+function isNodeReachable(nodeStatus) {
+    return nodeStatus.status === 'online' || nodeStatus.status === 'suspect';
+}
+
+// Update node status, recording when it changed
+async function updateNodeStatus(nodeId, status, changes = {}) {
+    const statusFile = path.join(NODES_DIR, nodeId, 'status.json');
+    return withFileLock(statusFile, async () => {
+        const nodeStatus = { ...await getNodeStatus(nodeId), ...changes };
+        const now = new Date().toISOString();
+        
+        if (nodeStatus.status !== status) {
+            nodeStatus.status = status;
+            nodeStatus.statusChangedAt = now;
+            nodeStatus.history = [{ status, at: now }, ...(nodeStatus.history || [])].slice(0, 20);
+            
+            // Log status change
+            logEvent(`Node ${nodeId} is now ${status}`, status === 'online' ? 'info' : 'warning', { type: 'node.status', nodeId });
+            publishEvent('node.status', { nodeId, status }, 'all');
+        }
+        await writeJsonAtomic(statusFile, nodeStatus);
+        return nodeStatus;
+    });
+}
+
+// Latest heartbeat of every node: nodeId -> { lastSeen, lastError }
+const nodeHeartbeats = {};
+
+// State a node should be in, given how long ago its last heartbeat was
+function livenessFromHeartbeat(heartbeat) {
+    const silence = heartbeat.lastSeen ? Date.now() - Date.parse(heartbeat.lastSeen) : Infinity;
+    if (silence <= NODE_SUSPECT_TIMEOUT) {
+        return 'online';
+    }
+    return silence <= NODE_OFFLINE_TIMEOUT ? 'suspect' : 'offline';
+}
+
+// Probe one node's /health and move it through online → suspect → offline.
+// Administratively down nodes are still probed, but stay down until an administrator brings them back.
+async function checkNodeHeartbeat(nodeId) {
+    const nodeStatus = await getNodeStatus(nodeId);
+    const heartbeat = nodeHeartbeats[nodeId] || (nodeHeartbeats[nodeId] = { lastSeen: nodeStatus.lastSeen, lastError: null });
+    
     try {
-        const statusFile = path.join(NODES_DIR, nodeId, 'status.json');
-        const data = await fs.readFile(statusFile, 'utf8');
-        return JSON.parse(data);
+        await nodeClient(nodeId).health(Math.min(NODE_TIMEOUT, HEARTBEAT_INTERVAL));
+        heartbeat.lastSeen = new Date().toISOString();
+        heartbeat.lastError = null;
     } catch (error) {
-        return { nodeId, status: 'offline', chunkCount: 0, lastSeen: null };
+        if (!heartbeat.lastError) {
+            logEvent(`Heartbeat from ${nodeId} failed: ${error.message}`, 'warning', { type: 'node.heartbeat', nodeId });
+        }
+        heartbeat.lastError = error.message;
+    }
+    
+    if (nodeStatus.adminDown) {
+        return;
+    }
+    
+    const status = livenessFromHeartbeat(heartbeat);
+    if (status !== nodeStatus.status) {
+        await updateNodeStatus(nodeId, status, { lastSeen: heartbeat.lastSeen });
+        
+        // A node that came back can finish the deletions queued while it was away;
+        // the chunks of a node that went offline are re-replicated elsewhere
+        if (status === 'online') {
+            await processPendingDeletions(nodeId);
+        } else if (status === 'offline') {
+            await scanForRepairs(`${nodeId} offline`);
+        }
+    }
+}
+
+// Probe every registered node
+let heartbeatRunning = false;
+async function checkNodeHeartbeats() {
+    if (heartbeatRunning) {
+        return;
+    }
+    heartbeatRunning = true;
+    try {
+        await Promise.all(getNodeIds().map(nodeId => checkNodeHeartbeat(nodeId).catch(error => {
+            logEvent(`Heartbeat check of ${nodeId} failed: ${error.message}`, 'error', { type: 'node.heartbeat', nodeId });
+        })));
+    } finally {
+        heartbeatRunning = false;
     }
 }
 
-// Update node status
-async function updateNodeStatus(nodeId, status) {
+// Adjust a node's stored chunk counter
+async function adjustNodeChunkCount(nodeId, delta) {
     const statusFile = path.join(NODES_DIR, nodeId, 'status.json');
-    const nodeStatus = await getNodeStatus(nodeId);
-    nodeStatus.status = status;
-    nodeStatus.lastSeen = new Date().toISOString();
-    await fs.writeFile(statusFile, JSON.stringify(nodeStatus, null, 2));
+    return withFileLock(statusFile, async () => {
+        const nodeStatus = await getNodeStatus(nodeId);
+        nodeStatus.chunkCount = Math.max(0, (nodeStatus.chunkCount || 0) + delta);
+        await writeJsonAtomic(statusFile, nodeStatus);
+        return nodeStatus;
+    });
+}
+
+// Create the directory holding a node's status file
+async function createNodeDirectory(nodeId) {
+    const nodePath = path.join(NODES_DIR, nodeId);
+    await fs.mkdir(nodePath, { recursive: true });
     
-    // Log status change
-    logEvent(`Node ${nodeId} is now ${status}`);
-    return nodeStatus;
+    const statusFile = path.join(nodePath, 'status.json');
+    if (!await fileExists(statusFile)) {
+        await writeJsonAtomic(statusFile, {
+            nodeId,
+            status: 'online',
+            chunkCount: 0,
+            lastSeen: new Date().toISOString()
+        });
+    }
 }
 
-// Get all nodes status
+// Node registry: every storage node with its URL, capacity, labels and lifecycle state
+// (`active`, `draining` or `drained`). Only active nodes receive new chunks.
+let nodeRegistry = {};
+
+// Load the registry, seeding it from existing node directories (or the default nodes) on first start.
+// Nodes registered without a URL are assumed to run locally on consecutive ports from NODE_BASE_PORT.
+async function loadNodeRegistry() {
+    let changed = false;
+    
+    if (await fileExists(REGISTRY_FILE)) {
+        nodeRegistry = (await readJsonFile(REGISTRY_FILE)).nodes;
+        if (!nodeRegistry || typeof nodeRegistry !== 'object') {
+            throw new Error(`${REGISTRY_FILE} is corrupt: no nodes table`);
+        }
+    } else {
+        const entries = await fs.readdir(NODES_DIR, { withFileTypes: true });
+        const existing = entries.filter(entry => entry.isDirectory()).map(entry => entry.name).sort();
+        
+        nodeRegistry = {};
+        for (const nodeId of existing.length > 0 ? existing : DEFAULT_NODES) {
+            nodeRegistry[nodeId] = { nodeId, capacity: null, labels: {}, state: 'active', addedAt: new Date().toISOString() };
+        }
+        changed = true;
+    }
+    
+    Object.values(nodeRegistry).forEach((entry, index) => {
+        if (!entry.url) {
+            entry.url = `http://localhost:${NODE_BASE_PORT + index}`;
+            changed = true;
+        }
+    });
+    
+    if (changed) {
+        await saveNodeRegistry();
+    }
+}
+
+// Persist the registry. `changedNode` names the node whose entry changed, announced as a node.state event.
+async function saveNodeRegistry(changedNode = null) {
+    await writeJsonAtomic(REGISTRY_FILE, { nodes: nodeRegistry });
+    if (changedNode) {
+        const entry = nodeRegistry[changedNode];
+        publishEvent('node.state', { nodeId: changedNode, state: entry ? entry.state : 'decommissioned' }, 'all');
+    }
+}
+
+// All registered node IDs
+function getNodeIds() {
+    return Object.keys(nodeRegistry);
+}
+
+// Nodes that accept new chunks
+function getWritableNodeIds() {
+    return getNodeIds().filter(nodeId => nodeRegistry[nodeId].state === 'active');
+}
+
+// Validate node URL, capacity (bytes, null for unlimited) and labels (string key/value pairs)
+function validateNodeSettings({ url, capacity, labels }) {
+    if (url !== undefined && !/^https?:\/\/[^/]+\/?$/.test(url)) {
+        throw new Error('url must be an http(s) base URL such as http://localhost:4005');
+    }
+    if (capacity !== undefined && capacity !== null && (!Number.isInteger(capacity) || capacity < 1)) {
+        throw new Error('capacity must be a positive number of bytes or null');
+    }
+    if (labels !== undefined && (typeof labels !== 'object' || labels === null || Array.isArray(labels) ||
+        Object.values(labels).some(value => typeof value !== 'string'))) {
+        throw new Error('labels must be an object of string values');
+    }
+}
+
+// Register a new storage node served at `url`
+async function registerNode(nodeId, { url, capacity = null, labels = {} } = {}) {
+    if (typeof nodeId !== 'string' || !/^[a-zA-Z0-9][a-zA-Z0-9_-]{0,63}$/.test(nodeId)) {
+        throw new Error('nodeId must be 1-64 letters, digits, dashes or underscores');
+    }
+    if (nodeRegistry[nodeId]) {
+        throw new Error(`Node ${nodeId} is already registered`);
+    }
+    if (!url) {
+        throw new Error('url is required');
+    }
+    validateNodeSettings({ url, capacity, labels });
+    
+    await createNodeDirectory(nodeId);
+    nodeRegistry[nodeId] = { nodeId, url: url.replace(/\/$/, ''), capacity, labels, state: 'active', addedAt: new Date().toISOString() };
+    await saveNodeRegistry(nodeId);
+    
+    logEvent(`Node ${nodeId} registered at ${url}${capacity ? ` (capacity ${capacity} bytes)` : ''}`, 'info', { type: 'node.register', nodeId });
+    return nodeRegistry[nodeId];
+}
+
+// Get all nodes status, including their registry entry
 async function getAllNodesStatus() {
     const statuses = [];
-    for (const node of NODES) {
-        statuses.push(await getNodeStatus(node));
+    for (const node of getNodeIds()) {
+        const { url, capacity, labels, state, drain } = nodeRegistry[node];
+        statuses.push({ ...await getNodeStatus(node), url, capacity, labels, state, drain });
     }
     return statuses;
 }
 
-// Log events
-function logEvent(message, type = 'info') {
-    const timestamp = new Date().toISOString();
-    const logMessage = `[${timestamp}] [${type.toUpperCase()}] ${message}`;
-    console.log(logMessage);
+// Accounts and API tokens. Passwords are stored as scrypt hashes. Tokens look like
+// `cfs_<id>_<secret>`; only a SHA-256 of the random secret is stored, looked up by id.
+// Login tokens expire after LOGIN_TOKEN_TTL, API tokens when their `expiresAt` passes (if set).
+let authStore = { users: {}, tokens: {} };
+const scrypt = promisify(crypto.scrypt);
+const USERNAME_PATTERN = /^[A-Za-z0-9_.-]{1,64}$/;
+
+// Hash a password as scrypt$<salt>$<hash>
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(password, salt, 32);
+    return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+// Check a password against a stored scrypt hash
+async function verifyPassword(password, stored) {
+    const [scheme, salt, hash] = (stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) {
+        return false;
+    }
+    const actual = await scrypt(password, Buffer.from(salt, 'hex'), 32);
+    return crypto.timingSafeEqual(actual, Buffer.from(hash, 'hex'));
+}
+
+// Load accounts. On a fresh install an `admin` account is created with COSMEON_ADMIN_PASSWORD,
+// or a random password printed once. Returns the name of the first administrator.
+async function loadAuthStore() {
+    const stored = await readJsonFile(USERS_FILE, null);
+    if (stored && (typeof stored.users !== 'object' || typeof stored.tokens !== 'object')) {
+        throw new Error(`${USERS_FILE} is corrupt: missing users or tokens`);
+    }
+    authStore = stored || { users: {}, tokens: {} };
     
-    // Store in memory for UI (in production, use proper logging)
-    if (!global.systemLogs) {
-        global.systemLogs = [];
+    let admin = Object.values(authStore.users).find(user => user.role === 'admin');
+    if (!admin) {
+        const password = process.env.COSMEON_ADMIN_PASSWORD || crypto.randomBytes(12).toString('base64url');
+        admin = await createUser('admin', password, 'admin');
+        console.log(process.env.COSMEON_ADMIN_PASSWORD ?
+            'Created administrator "admin" with the password from COSMEON_ADMIN_PASSWORD' :
+            `Created administrator "admin" with password ${password} (change it after signing in)`);
     }
-    global.systemLogs.unshift({
-        timestamp,
-        type,
-        message
-    });
+    return admin.username;
+}
+
+// Persist accounts and tokens
+async function saveAuthStore() {
+    await writeJsonAtomic(USERS_FILE, authStore);
+}
+
+// Account without its password hash
+function describeUser(user) {
+    const { passwordHash, ...details } = user;
+    return details;
+}
+
+// Token without its secret hash
+function describeToken(token) {
+    const { secretHash, ...details } = token;
+    return details;
+}
+
+// Validate a storage quota: bytes, 0 for unlimited, or null to use USER_QUOTA
+function validateQuota(quota) {
+    if (quota !== null && (!Number.isInteger(quota) || quota < 0)) {
+        throw new Error('quota must be a non-negative number of bytes (0 for unlimited) or null for the default');
+    }
+}
+
+// Create an account; role is 'user' or 'admin'
+async function createUser(username, password, role = 'user', quota = null) {
+    if (!USERNAME_PATTERN.test(username || '')) {
+        throw new Error('username must be 1-64 letters, digits, dots, dashes or underscores');
+    }
+    if (authStore.users[username]) {
+        throw new Error(`User ${username} already exists`);
+    }
+    if (typeof password !== 'string' || password.length < 8) {
+        throw new Error('password must be at least 8 characters');
+    }
+    if (!['user', 'admin'].includes(role)) {
+        throw new Error('role must be user or admin');
+    }
+    validateQuota(quota);
     
-    // Keep only last 100 logs
-    if (global.systemLogs.length > 100) {
-        global.systemLogs.pop();
+    authStore.users[username] = { username, role, quota, passwordHash: await hashPassword(password), createdAt: new Date().toISOString() };
+    await saveAuthStore();
+    logEvent(`User ${username} created (${role})`, 'info', { type: 'user.create' });
+    return authStore.users[username];
+}
+
+// Issue a token for a user. The returned `token` string is the only copy of the secret.
+async function issueToken(username, { name = 'api', kind = 'api', expiresAt = null } = {}) {
+    const id = crypto.randomBytes(8).toString('hex');
+    const secret = crypto.randomBytes(32).toString('base64url');
+    authStore.tokens[id] = {
+        id,
+        username,
+        name,
+        kind,
+        secretHash: generateHash(secret),
+        createdAt: new Date().toISOString(),
+        expiresAt
+    };
+    await saveAuthStore();
+    return { token: `cfs_${id}_${secret}`, ...describeToken(authStore.tokens[id]) };
+}
+
+// Resolve a presented token to its record and user, or null
+function resolveToken(presented) {
+    const match = /^cfs_([0-9a-f]{16})_([A-Za-z0-9_-]+)$/.exec(presented || '');
+    const token = match && authStore.tokens[match[1]];
+    if (!token || (token.expiresAt && Date.parse(token.expiresAt) < Date.now())) {
+        return null;
     }
+    const expected = Buffer.from(token.secretHash, 'hex');
+    const actual = Buffer.from(generateHash(match[2]), 'hex');
+    const user = authStore.users[token.username];
+    return crypto.timingSafeEqual(expected, actual) && user ? { token, user } : null;
 }
 
-// Upload handler
-const storage = multer.diskStorage({
-    destination: (req, file, cb) => {
-        cb(null, UPLOADS_DIR);
-    },
-    filename: (req, file, cb) => {
-        const uniqueId = Date.now() + '-' + Math.random().toString(36).substr(2, 9);
-        cb(null, uniqueId + path.extname(file.originalname));
+// A request URL without its `dl` signature, in the form links are signed over
+function linkTarget(url) {
+    const parsed = new URL(url, 'http://localhost');
+    parsed.searchParams.delete('dl');
+    return `${parsed.pathname}${parsed.search}`;
+}
+
+// HMAC over a link's payload and target URL
+function linkSignature(payload, target) {
+    return crypto.createHmac('sha256', LINK_SECRET).update(`${payload}.${target}`).digest();
+}
+
+// Sign a URL for GET requests on behalf of `token`. The link expires after LINK_TTL and
+// stops working as soon as the token is revoked, so the token itself never appears in a URL.
+function signLink(url, token) {
+    const target = linkTarget(url);
+    const expiresAt = Date.now() + LINK_TTL;
+    const payload = Buffer.from(JSON.stringify({ t: token.id, e: expiresAt })).toString('base64url');
+    const signature = linkSignature(payload, target).toString('base64url');
+    return {
+        url: `${target}${target.includes('?') ? '&' : '?'}dl=${payload}.${signature}`,
+        expiresAt: new Date(expiresAt).toISOString()
+    };
+}
+
+// Resolve the `dl` signature of a signed link to its token record and user, or null
+function resolveLink(req) {
+    const [payload, signature] = String(req.query.dl).split('.');
+    const expected = linkSignature(payload || '', linkTarget(req.originalUrl));
+    const actual = Buffer.from(signature || '', 'base64url');
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(expected, actual)) {
+        return null;
     }
-});
+    
+    const { t, e } = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    const token = authStore.tokens[t];
+    const user = token && authStore.users[token.username];
+    if (!user || e < Date.now() || (token.expiresAt && Date.parse(token.expiresAt) < Date.now())) {
+        return null;
+    }
+    return { token, user };
+}
 
-const upload = multer({ storage });
+// Routes that work without a token
+const PUBLIC_ROUTES = new Set(['POST /auth/login']);
 
-// API Routes
+// Identify the caller from `Authorization: Bearer <token>`, or from a signed `?dl=` link for
+// GET requests the browser makes itself (downloads, the event stream). Sets req.user and req.token.
+function authenticate(req, res, next) {
+    if (PUBLIC_ROUTES.has(`${req.method} ${req.path}`)) {
+        return next();
+    }
+    
+    const header = req.get('Authorization') || '';
+    const resolved = header.startsWith('Bearer ') ? resolveToken(header.slice(7).trim()) :
+        req.method === 'GET' && req.query.dl ? resolveLink(req) : null;
+    if (!resolved) {
+        return res.status(401).json({ success: false, error: 'Authentication required' });
+    }
+    req.user = resolved.user;
+    req.token = resolved.token;
+    next();
+}
 
-// Upload file and create chunks
-app.post('/api/upload', upload.single('file'), async (req, res) => {
-    try {
-        const { originalname, filename, size } = req.file;
-        const filePath = path.join(UPLOADS_DIR, filename);
-        const fileId = path.basename(filename, path.extname(filename));
+// Only administrators may continue
+function requireAdmin(req, res, next) {
+    if (req.user.role !== 'admin') {
+        return res.status(403).json({ success: false, error: 'Administrator access required' });
+    }
+    next();
+}
+
+// Whether a user may read or delete a file: its owner or an administrator
+function canAccessFile(user, fileInfo) {
+    return user.role === 'admin' || fileInfo.owner === user.username;
+}
+
+// Owner of a logical path: the owner of its current version (undefined for a new path)
+function pathOwner(metadata, logicalPath) {
+    const entry = metadata.paths[logicalPath];
+    if (!entry || entry.versions.length === 0) {
+        return undefined;
+    }
+    const current = metadata.files[entry.versions[entry.versions.length - 1].fileId];
+    return current ? current.owner : undefined;
+}
+
+// Refuse to add a version to a path that belongs to someone else
+function assertPathOwner(metadata, logicalPath, owner) {
+    const currentOwner = pathOwner(metadata, logicalPath);
+    if (currentOwner !== undefined && currentOwner !== owner) {
+        const error = new Error(`${logicalPath} belongs to another user`);
+        error.code = 'EACCES';
+        throw error;
+    }
+}
+
+// The metadata a user may see: everything for administrators, otherwise their own files and paths
+// and where their chunks are stored. Reference counts are left out, since they would reveal that
+// other users store the same data.
+function visibleMetadata(metadata, user) {
+    if (user.role === 'admin') {
+        return metadata;
+    }
+    const files = {};
+    Object.values(metadata.files).filter(file => canAccessFile(user, file)).forEach(file => { files[file.fileId] = file; });
+    const paths = {};
+    Object.values(metadata.paths).filter(entry => pathOwner(metadata, entry.path) === user.username).forEach(entry => {
+        paths[entry.path] = { ...entry, versions: entry.versions.filter(version => files[version.fileId]) };
+    });
+    const objects = {};
+    Object.values(files).forEach(file => Object.values(file.chunks).forEach(chunkInfo => {
+        const object = metadata.objects[chunkInfo.key];
+        if (object) {
+            objects[object.key] = { key: object.key, replicas: object.replicas.map(replica => ({ node: replica.node })) };
+        }
+    }));
+    return { files, paths, objects };
+}
+
+// The part of a node's status a non-administrator may see: whether it is up and how many chunks it
+// holds, but not its URL, capacity, labels or history
+function visibleNodeStatus({ nodeId, status, state, chunkCount, lastSeen, adminDown }) {
+    return { nodeId, status, state, chunkCount, lastSeen, adminDown };
+}
+
+// Give files uploaded before accounts existed an owner
+function migrateOwners(metadata, owner) {
+    const unowned = Object.values(metadata.files).filter(file => !file.owner);
+    unowned.forEach(file => { file.owner = owner; });
+    return unowned.length;
+}
+
+// Client for the storage node chunk protocol served by node-server.js:
+// PUT/GET/DELETE /chunks/:key, GET /chunks and GET /health
+function nodeClient(nodeId) {
+    const entry = nodeRegistry[nodeId];
+    if (!entry) {
+        throw new Error(`Node ${nodeId} is not registered`);
+    }
+    
+    async function request(method, pathname, { timeout = NODE_TIMEOUT, ...options } = {}) {
+        let response;
+        try {
+            response = await fetch(`${entry.url}${pathname}`, {
+                method,
+                ...options,
+                headers: { ...options.headers, ...(NODE_TOKEN ? { 'X-Node-Token': NODE_TOKEN } : {}) },
+                signal: AbortSignal.timeout(timeout)
+            });
+        } catch (error) {
+            const reason = error.cause ? error.cause.code || error.cause.message : error.message;
+            throw new Error(`Node ${nodeId} unreachable: ${reason}`);
+        }
         
-        logEvent(`Starting upload: ${originalname} (${(size / 1024).toFixed(2)} KB)`);
+        if (!response.ok && response.status !== 404) {
+            const detail = await response.json().catch(() => ({}));
+            throw new Error(`Node ${nodeId} returned ${response.status}${detail.error ? `: ${detail.error}` : ''}`);
+        }
+        return response;
+    }
+    
+    return {
+        // Store a chunk; the node verifies it against `hash` when given
+        async putChunk(key, buffer, hash = null) {
+            const headers = { 'Content-Type': 'application/octet-stream' };
+            if (hash) {
+                headers['X-Chunk-Hash'] = hash;
+            }
+            await request('PUT', `/chunks/${key}`, { body: buffer, headers });
+            countMetric('cosmeon_node_written_bytes_total', { node: nodeId }, buffer.length);
+        },
         
-        // Read file
-        const fileBuffer = await fs.readFile(filePath);
-        const totalChunks = Math.ceil(fileBuffer.length / CHUNK_SIZE);
+        // Read a chunk; a missing chunk is an error with code ENOENT
+        async getChunk(key) {
+            const response = await request('GET', `/chunks/${key}`);
+            if (response.status === 404) {
+                const error = new Error(`Chunk ${key} not found on ${nodeId}`);
+                error.code = 'ENOENT';
+                throw error;
+            }
+            const buffer = Buffer.from(await response.arrayBuffer());
+            countMetric('cosmeon_node_read_bytes_total', { node: nodeId }, buffer.length);
+            return buffer;
+        },
         
-        logEvent(`Splitting into ${totalChunks} chunks`);
+        // Delete a chunk; returns whether it existed
+        async deleteChunk(key) {
+            const response = await request('DELETE', `/chunks/${key}`);
+            return (await response.json()).deleted;
+        },
         
-        // Initialize metadata
-        const metadata = await readMetadata();
-        metadata.files[fileId] = {
-            fileId,
-            originalName: originalname,
-            size,
-            totalChunks,
-            uploadedAt: new Date().toISOString(),
-            fileHash: generateHash(fileBuffer),
-            chunks: {}
-        };
+        async listChunks() {
+            return (await (await request('GET', '/chunks')).json()).chunks;
+        },
+        
+        async health(timeout = NODE_TIMEOUT) {
+            return (await request('GET', '/health', { timeout })).json();
+        }
+    };
+}
+
+// Structured event log. Every logEvent call becomes one NDJSON record in LOG_DIR/events.log:
+// { timestamp, level, type, message } plus whichever of fileId, nodeId, nodes, chunk, stripe, actor
+// and durationMs apply. Records are appended in order through a promise chain, so logEvent stays
+// synchronous. The file rotates at LOG_MAX_BYTES into events.log.1 … events.log.<LOG_MAX_FILES>.
+const EVENT_LOG_FILE = path.join(LOG_DIR, 'events.log');
+const logWriter = {
+    chain: Promise.resolve(),
+    size: null
+};
+
+// Log an event. `level` is info, warning or error; `fields` carries the structured details.
+function logEvent(message, level = 'info', fields = {}) {
+    const record = { timestamp: new Date().toISOString(), level, type: 'system', message, ...fields };
+    console.log(`[${record.timestamp}] [${level.toUpperCase()}] ${message}`);
+    
+    const line = `${JSON.stringify(record)}\n`;
+    logWriter.chain = logWriter.chain
+        .then(() => appendLogLine(line))
+        .catch(error => console.error(`Could not write ${EVENT_LOG_FILE}: ${error.message}`));
+    
+    publishEvent('log', record);
+}
+
+// Append one line to the event log, rotating first when the line would take it past LOG_MAX_BYTES
+async function appendLogLine(line) {
+    if (logWriter.size === null) {
+        await fs.mkdir(LOG_DIR, { recursive: true });
+        logWriter.size = await fs.stat(EVENT_LOG_FILE).then(stats => stats.size, () => 0);
+    }
+    const length = Buffer.byteLength(line);
+    if (logWriter.size > 0 && logWriter.size + length > LOG_MAX_BYTES) {
+        for (let n = LOG_MAX_FILES - 1; n >= 1; n--) {
+            await fs.rename(`${EVENT_LOG_FILE}.${n}`, `${EVENT_LOG_FILE}.${n + 1}`).catch(() => {});
+        }
+        await fs.rename(EVENT_LOG_FILE, `${EVENT_LOG_FILE}.1`);
+        logWriter.size = 0;
+    }
+    await fs.appendFile(EVENT_LOG_FILE, line);
+    logWriter.size += length;
+}
+
+// Event log files, oldest first
+function eventLogFiles() {
+    const rotated = [];
+    for (let n = LOG_MAX_FILES; n >= 1; n--) {
+        rotated.push(`${EVENT_LOG_FILE}.${n}`);
+    }
+    return [...rotated, EVENT_LOG_FILE];
+}
+
+// Read the records of NDJSON files in order. A line that does not parse (torn by a crash) is skipped.
+async function* readNdjson(files) {
+    for (const file of files) {
+        if (!await fileExists(file)) continue;
+        const lines = readline.createInterface({ input: createReadStream(file), crlfDelay: Infinity });
+        for await (const line of lines) {
+            if (!line.trim()) continue;
+            try {
+                yield JSON.parse(line);
+            } catch (error) {
+                // Skip the torn line
+            }
+        }
+    }
+}
+
+// Parse a `since` or `until` bound: an ISO 8601 time or milliseconds since the epoch
+function parseTimeBound(value, name) {
+    if (value === undefined || value === '') {
+        return null;
+    }
+    const time = /^\d+$/.test(value) ? parseInt(value, 10) : Date.parse(value);
+    if (Number.isNaN(time)) {
+        throw new Error(`${name} must be an ISO 8601 time or milliseconds since the epoch`);
+    }
+    return time;
+}
+
+// Predicate over log and audit records built from query parameters. `type` and `action` match
+// exactly or as a prefix (`node` matches `node.status`); `level` takes a comma-separated list;
+// `nodeId` also matches records that list the node in `nodes`.
+function recordFilter(query) {
+    const since = parseTimeBound(query.since, 'since');
+    const until = parseTimeBound(query.until, 'until');
+    const levels = query.level ? String(query.level).split(',') : null;
+    const matchesPrefix = (value, wanted) => !wanted || value === wanted || String(value).startsWith(`${wanted}.`);
+    
+    return record => {
+        const time = Date.parse(record.timestamp);
+        return matchesPrefix(record.type, query.type) &&
+            matchesPrefix(record.action, query.action) &&
+            (!levels || levels.includes(record.level)) &&
+            (!query.nodeId || record.nodeId === query.nodeId || (record.nodes || []).includes(query.nodeId)) &&
+            (!query.fileId || record.fileId === query.fileId) &&
+            (!query.actor || record.actor === query.actor) &&
+            (!query.target || record.target === query.target) &&
+            (since === null || time >= since) &&
+            (until === null || time <= until);
+    };
+}
+
+// Answer a log query: a page of matching records, newest first, or with `?format=ndjson` every
+// match, oldest first, as a download. Throws on invalid parameters before anything is sent.
+async function sendRecords(req, res, files, key) {
+    const filter = recordFilter(req.query);
+    const offset = req.query.offset !== undefined ? parseInt(req.query.offset, 10) : 0;
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : 100;
+    if (!Number.isInteger(offset) || offset < 0 || !Number.isInteger(limit) || limit < 1 || limit > 1000) {
+        throw new Error('offset must be 0 or more and limit between 1 and 1000');
+    }
+    await logWriter.chain;
+    
+    if (req.query.format === 'ndjson') {
+        res.attachment(`${key}-${new Date().toISOString().slice(0, 10)}.ndjson`);
+        res.set('Content-Type', 'application/x-ndjson');
+        for await (const record of readNdjson(files)) {
+            if (filter(record)) {
+                await writeWithBackpressure(res, `${JSON.stringify(record)}\n`);
+            }
+        }
+        return res.end();
+    }
+    
+    // Keep only the newest offset + limit matches while reading
+    const window = offset + limit;
+    let matches = [];
+    let total = 0;
+    for await (const record of readNdjson(files)) {
+        if (!filter(record)) continue;
+        total++;
+        matches.push(record);
+        if (matches.length > window * 2) {
+            matches = matches.slice(-window);
+        }
+    }
+    const records = matches.slice(-window).reverse().slice(offset, offset + limit);
+    res.json({ [key]: records, total, offset, limit });
+}
+
+// Audit trail: uploads, deletions, node and account changes and other administrative actions are
+// appended to LOG_DIR/audit.log. Each entry holds the hash of the entry before it (`prevHash`) and
+// its own `hash` over both, so editing, removing or reordering entries breaks the chain.
+const AUDIT_LOG_FILE = path.join(LOG_DIR, 'audit.log');
+const AUDIT_GENESIS = '0'.repeat(64); // prevHash of the first entry
+const auditState = {
+    seq: 0,
+    lastHash: AUDIT_GENESIS
+};
+
+// Hash of an audit entry's contents and its link to the previous entry
+function auditHash({ seq, timestamp, actor, action, target, details, prevHash }) {
+    return generateHash(JSON.stringify({ seq, timestamp, actor, action, target, details, prevHash }));
+}
+
+// Walk the audit log checking every link. Reports the first broken entry, and the last entry so
+// new entries can chain on to it.
+async function verifyAuditLog() {
+    const result = { valid: true, entries: 0, brokenAt: null, reason: null, last: { seq: 0, hash: AUDIT_GENESIS } };
+    if (!await fileExists(AUDIT_LOG_FILE)) {
+        return result;
+    }
+    
+    const broken = (line, reason) => {
+        if (result.valid) {
+            Object.assign(result, { valid: false, brokenAt: line, reason });
+        }
+    };
+    const lines = readline.createInterface({ input: createReadStream(AUDIT_LOG_FILE), crlfDelay: Infinity });
+    let line = 0;
+    for await (const text of lines) {
+        line++;
+        if (!text.trim()) continue;
+        let entry;
+        try {
+            entry = JSON.parse(text);
+        } catch (error) {
+            broken(line, 'entry does not parse');
+            continue;
+        }
+        
+        if (entry.seq !== result.last.seq + 1) {
+            broken(line, `expected entry ${result.last.seq + 1}, found ${entry.seq}`);
+        } else if (entry.prevHash !== result.last.hash) {
+            broken(line, 'entry does not link to the one before it');
+        } else if (auditHash(entry) !== entry.hash) {
+            broken(line, 'entry does not match its hash');
+        }
+        result.entries++;
+        result.last = { seq: entry.seq, hash: entry.hash };
+    }
+    return result;
+}
+
+// Check the audit log at startup and continue the chain from its last entry
+async function loadAuditLog() {
+    const result = await verifyAuditLog();
+    auditState.seq = result.last.seq;
+    auditState.lastHash = result.last.hash;
+    if (!result.valid) {
+        logEvent(`Audit log chain broken at line ${result.brokenAt}: ${result.reason}`, 'error', { type: 'audit' });
+    }
+}
+
+// Append an audit entry chained to the previous one. A failure is logged rather than thrown: the
+// action being recorded has already happened.
+async function recordAudit(actor, action, target = null, details = {}) {
+    try {
+        return await withFileLock(AUDIT_LOG_FILE, async () => {
+            const entry = {
+                seq: auditState.seq + 1,
+                timestamp: new Date().toISOString(),
+                actor,
+                action,
+                target,
+                details,
+                prevHash: auditState.lastHash
+            };
+            entry.hash = auditHash(entry);
+            
+            await fs.mkdir(LOG_DIR, { recursive: true });
+            await fs.appendFile(AUDIT_LOG_FILE, `${JSON.stringify(entry)}\n`);
+            auditState.seq = entry.seq;
+            auditState.lastHash = entry.hash;
+            return entry;
+        });
+    } catch (error) {
+        logEvent(`Audit entry for ${action} could not be written: ${error.message}`, 'error', { type: 'audit' });
+        return null;
+    }
+}
+
+// Prometheus metrics served by GET /metrics. Counters and histograms are kept in memory from
+// process start (Prometheus handles the reset on restart); gauges are read from the current
+// state on every scrape.
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120]; // seconds
+const METRIC_HELP = {
+    cosmeon_upload_requests_total: ['counter', 'Completed upload requests (multipart and session commits) by result.'],
+    cosmeon_upload_duration_seconds: ['histogram', 'Time to receive, chunk and store an upload.'],
+    cosmeon_reconstruct_requests_total: ['counter', 'Reconstruction requests by result.'],
+    cosmeon_reconstruct_duration_seconds: ['histogram', 'Time to read and verify every chunk of a file.'],
+    cosmeon_node_written_bytes_total: ['counter', 'Chunk bytes written to each node.'],
+    cosmeon_node_read_bytes_total: ['counter', 'Chunk bytes read from each node.'],
+    cosmeon_chunk_hash_failures_total: ['counter', 'Chunk copies whose bytes did not match their hash, by node and by the operation that found it.']
+};
+const metrics = {
+    counters: new Map(), // name → Map(label string → { labels, value })
+    histograms: new Map() // name → Map(label string → { labels, buckets, sum, count })
+};
+
+// Format labels as {a="1",b="2"}
+function formatLabels(labels) {
+    const pairs = Object.entries(labels)
+        .map(([name, value]) => `${name}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+// The series of a metric with the given labels, created on first use
+function metricSeries(table, name, labels, create) {
+    if (!table.has(name)) {
+        table.set(name, new Map());
+    }
+    const series = table.get(name);
+    const key = formatLabels(labels);
+    if (!series.has(key)) {
+        series.set(key, { labels, ...create() });
+    }
+    return series.get(key);
+}
+
+// Add to a counter
+function countMetric(name, labels = {}, amount = 1) {
+    metricSeries(metrics.counters, name, labels, () => ({ value: 0 })).value += amount;
+}
+
+// Record a duration in a latency histogram
+function observeLatency(name, labels, seconds) {
+    const series = metricSeries(metrics.histograms, name, labels,
+        () => ({ buckets: LATENCY_BUCKETS.map(() => 0), sum: 0, count: 0 }));
+    LATENCY_BUCKETS.forEach((bound, i) => {
+        if (seconds <= bound) {
+            series.buckets[i]++;
+        }
+    });
+    series.sum += seconds;
+    series.count++;
+}
+
+// Count a finished upload or reconstruct request and record how long it took
+function observeRequest(operation, result, startedAt) {
+    countMetric(`cosmeon_${operation}_requests_total`, { result });
+    observeLatency(`cosmeon_${operation}_duration_seconds`, {}, (Date.now() - startedAt) / 1000);
+}
+
+// Count a chunk copy that failed its hash check
+function countHashFailure(nodeId, source) {
+    countMetric('cosmeon_chunk_hash_failures_total', { node: nodeId, source });
+}
+
+// Render every metric in the Prometheus text exposition format
+async function renderMetrics() {
+    const metadata = await readMetadata();
+    const statuses = await getAllNodesStatus();
+    const { nodes: capacity } = capacityReport(metadata.objects);
+    const lines = [];
+    const metric = (name, type, help, samples) => {
+        lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+        samples.forEach(([labels, value]) => lines.push(`${name}${formatLabels(labels)} ${value}`));
+    };
+    
+    for (const [name, [type, help]] of Object.entries(METRIC_HELP)) {
+        if (type === 'counter') {
+            const series = [...(metrics.counters.get(name) || new Map()).values()];
+            metric(name, type, help, series.map(({ labels, value }) => [labels, value]));
+            continue;
+        }
+        
+        lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} histogram`);
+        for (const { labels, buckets, sum, count } of (metrics.histograms.get(name) || new Map()).values()) {
+            LATENCY_BUCKETS.forEach((bound, i) => lines.push(`${name}_bucket${formatLabels({ ...labels, le: bound })} ${buckets[i]}`));
+            lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+            lines.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+            lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+        }
+    }
+    
+    metric('cosmeon_node_status', 'gauge', 'Node liveness: 1 for the status the node is in, 0 for the others.',
+        statuses.flatMap(({ nodeId, status }) => ['online', 'suspect', 'offline', 'down']
+            .map(value => [{ node: nodeId, status: value }, status === value ? 1 : 0])));
+    metric('cosmeon_node_state', 'gauge', 'Node lifecycle state: 1 for the state the node is in, 0 for the others.',
+        getNodeIds().flatMap(nodeId => ['active', 'draining', 'drained']
+            .map(value => [{ node: nodeId, state: value }, (nodeRegistry[nodeId].state || 'active') === value ? 1 : 0])));
+    metric('cosmeon_node_used_bytes', 'gauge', 'Bytes of chunk objects stored on each node.',
+        Object.entries(capacity).map(([nodeId, node]) => [{ node: nodeId }, node.used]));
+    metric('cosmeon_node_capacity_bytes', 'gauge', 'Configured capacity of each node (absent when unlimited).',
+        Object.entries(capacity).filter(([, node]) => node.capacity !== null).map(([nodeId, node]) => [{ node: nodeId }, node.capacity]));
+    metric('cosmeon_chunks', 'gauge', 'Chunk objects in the object table.', [[{}, Object.keys(metadata.objects).length]]);
+    metric('cosmeon_chunks_under_replicated', 'gauge', 'Chunk objects with fewer reachable copies than their target.',
+        [[{}, underReplicatedObjects(metadata, statuses).length]]);
+    metric('cosmeon_repair_queue_depth', 'gauge', 'Chunk objects queued for or being handled by the repair worker.',
+        [[{}, repairState.queue.size + (repairState.current ? 1 : 0)]]);
+    metric('cosmeon_files', 'gauge', 'Stored file versions.', [[{}, Object.keys(metadata.files).length]]);
+    metric('cosmeon_uptime_seconds', 'gauge', 'Seconds since the coordinator started.', [[{}, process.uptime()]]);
+    
+    return `${lines.join('\n')}\n`;
+}
+
+// Live events pushed to the web UI over Server-Sent Events (GET /api/events). Event ids are
+// `<bootId>-<seq>`; the latest EVENT_BUFFER_SIZE events are kept so a client reconnecting with
+// Last-Event-ID is sent what it missed. An id from before a restart, or too old to replay, gets a
+// `reset` event instead, telling the client to reload everything.
+const EVENT_BUFFER_SIZE = 1000;
+const EVENT_KEEPALIVE = 15000; // ms between comment lines that keep idle connections open
+const eventStream = {
+    bootId: crypto.randomBytes(4).toString('hex'),
+    seq: 0,
+    buffer: [],
+    clients: new Set()
+};
+
+// Administrators see every event, other users those scoped to everyone or to themselves
+function canSeeEvent(user, event) {
+    return user.role === 'admin' || event.scope === 'all' || event.scope === user.username;
+}
+
+// Write one event in SSE framing
+function writeEvent(res, event) {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+}
+
+// Publish an event to every subscriber allowed to see it. `scope` is 'all', 'admin' or the
+// username of the user it concerns (administrators see those too).
+function publishEvent(type, data, scope = 'admin') {
+    eventStream.seq++;
+    const event = { id: `${eventStream.bootId}-${eventStream.seq}`, seq: eventStream.seq, type, data, scope };
+    eventStream.buffer.push(event);
+    if (eventStream.buffer.length > EVENT_BUFFER_SIZE) {
+        eventStream.buffer.shift();
+    }
+    
+    for (const client of eventStream.clients) {
+        if (canSeeEvent(client.user, event)) {
+            writeEvent(client.res, event);
+        }
+    }
+}
+
+// Events published after `lastEventId`, or null when they can no longer be replayed
+function eventsSince(lastEventId) {
+    const match = /^([0-9a-f]+)-(\d+)$/.exec(lastEventId || '');
+    if (!match || match[1] !== eventStream.bootId) {
+        return null;
+    }
+    const seq = parseInt(match[2], 10);
+    const oldest = eventStream.buffer.length > 0 ? eventStream.buffer[0].seq : eventStream.seq + 1;
+    if (seq < oldest - 1 || seq > eventStream.seq) {
+        return null;
+    }
+    return eventStream.buffer.filter(event => event.seq > seq);
+}
+
+// Chunk file name used before chunks were content-addressed
+function chunkFileName(fileId, chunkId) {
+    return `${fileId}_chunk${chunkId}`;
+}
+
+// List every replica recorded on a pre-dedup chunk entry (the oldest ones store a single node)
+function getChunkReplicas(chunkInfo) {
+    if (Array.isArray(chunkInfo.replicas)) {
+        return chunkInfo.replicas;
+    }
+    return [{ node: chunkInfo.node, path: chunkInfo.path }];
+}
+
+// Move per-file chunk locations into the shared, reference-counted object table.
+// Chunks stored before deduplication keep their `<fileId>_chunk<i>` file name as object key.
+function migrateMetadata(metadata) {
+    const objects = metadata.objects || (metadata.objects = {});
+    let migrated = 0;
+    
+    for (const file of Object.values(metadata.files)) {
+        for (const chunkInfo of Object.values(file.chunks)) {
+            if (chunkInfo.key) continue;
+            
+            const key = chunkFileName(file.fileId, chunkInfo.chunkId);
+            objects[key] = {
+                key,
+                hash: chunkInfo.hash,
+                size: chunkInfo.size,
+                refCount: 1,
+                replicationFactor: file.replicationFactor || 1,
+                replicas: getChunkReplicas(chunkInfo).map(replica => ({ node: replica.node }))
+            };
+            
+            delete chunkInfo.node;
+            delete chunkInfo.path;
+            delete chunkInfo.replicas;
+            chunkInfo.key = key;
+            migrated++;
+        }
+    }
+    
+    return migrated;
+}
+
+// Resolve the replication factor requested for an upload
+function resolveReplicationFactor(value) {
+    const nodeCount = getWritableNodeIds().length;
+    if (value === undefined || value === null || value === '') {
+        return Math.min(DEFAULT_REPLICATION_FACTOR, nodeCount);
+    }
+    const factor = parseInt(value, 10);
+    if (!Number.isInteger(factor) || factor < 1 || factor > nodeCount) {
+        throw new Error(`Replication factor must be between 1 and ${nodeCount}`);
+    }
+    return factor;
+}
+
+// Bytes stored on each node according to the object table
+function nodeUsage(objects) {
+    const usage = {};
+    Object.values(objects).forEach(object => object.replicas.forEach(replica => {
+        usage[replica.node] = (usage[replica.node] || 0) + object.size;
+    }));
+    return usage;
+}
+
+// Bytes a node may hold: its own capacity, else NODE_CAPACITY. Null when unlimited.
+function nodeCapacity(nodeId) {
+    return nodeRegistry[nodeId].capacity || NODE_CAPACITY;
+}
+
+// Capacity, used and free bytes of every node, and of the active nodes together.
+// Capacity and free are null when unlimited.
+function capacityReport(objects) {
+    const usage = nodeUsage(objects);
+    const nodes = {};
+    for (const nodeId of getNodeIds()) {
+        const capacity = nodeCapacity(nodeId);
+        const used = usage[nodeId] || 0;
+        nodes[nodeId] = { capacity, used, free: capacity ? Math.max(0, capacity - used) : null };
+    }
+    
+    const active = getWritableNodeIds().map(nodeId => nodes[nodeId]);
+    const unlimited = active.some(node => !node.capacity);
+    const cluster = {
+        capacity: unlimited ? null : active.reduce((sum, node) => sum + node.capacity, 0),
+        used: active.reduce((sum, node) => sum + node.used, 0),
+        free: unlimited ? null : active.reduce((sum, node) => sum + node.free, 0)
+    };
+    return { nodes, cluster };
+}
+
+// An upload refused for lack of room or permission; `code` picks the HTTP status (see uploadErrorStatus)
+function uploadError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+// HTTP status for a failed upload: 403 for another user's path, 413 over the size limit or the
+// owner's quota, 507 when the nodes have no room left
+function uploadErrorStatus(error, fallback = 500) {
+    return { EACCES: 403, EFBIG: 413, EDQUOT: 413, ENOSPC: 507 }[error.code] || fallback;
+}
+
+// Bytes a user may store: their account's quota, else USER_QUOTA. 0 means unlimited.
+function userQuota(username) {
+    const user = authStore.users[username];
+    return user && user.quota !== undefined && user.quota !== null ? user.quota : USER_QUOTA;
+}
+
+// Logical bytes stored by a user (every version of every file they own) against their quota
+function storageUsage(metadata, username) {
+    const used = Object.values(metadata.files)
+        .filter(file => file.owner === username)
+        .reduce((sum, file) => sum + file.size, 0);
+    return { used, quota: userQuota(username) || null };
+}
+
+// Uploads in progress, each with its owner and the bytes it has declared or received so far.
+// Quota checks count them, so parallel uploads by one user cannot together exceed the quota.
+const activeUploads = new Set();
+
+// Bytes of a user's uploads in progress, other than `except`
+function reservedBytes(username, except = null) {
+    let bytes = 0;
+    for (const upload of activeUploads) {
+        if (upload.owner === username && upload !== except) {
+            bytes += upload.bytes;
+        }
+    }
+    return bytes;
+}
+
+// Refuse an upload of `size` bytes over MAX_UPLOAD_SIZE or the owner's remaining quota
+function checkUploadSize(usage, size) {
+    if (MAX_UPLOAD_SIZE > 0 && size > MAX_UPLOAD_SIZE) {
+        throw uploadError(`File is larger than the ${MAX_UPLOAD_SIZE} byte upload limit`, 'EFBIG');
+    }
+    if (usage.quota && usage.used + size > usage.quota) {
+        throw uploadError(`Upload exceeds the storage quota: ${usage.used} of ${usage.quota} bytes already used`, 'EDQUOT');
+    }
+}
+
+// Refuse an upload the online nodes have no room for. `bytes` is its size times the copies stored;
+// deduplication may need less, so this only rejects uploads that cannot fit.
+async function checkClusterSpace(metadata, bytes) {
+    const usage = nodeUsage(metadata.objects);
+    let free = 0;
+    let online = 0;
+    for (const nodeId of getWritableNodeIds()) {
+        if ((await getNodeStatus(nodeId)).status !== 'online') continue;
+        const capacity = nodeCapacity(nodeId);
+        if (!capacity) {
+            return;
+        }
+        free += Math.max(0, capacity - (usage[nodeId] || 0));
+        online++;
+    }
+    if (online > 0 && bytes > free) {
+        throw uploadError(`Not enough free space: the upload needs ${bytes} bytes, the online nodes have ${free}`, 'ENOSPC');
+    }
+}
+
+// Placement policies decide which nodes receive a chunk's copies or a stripe's shards. `select` gets
+// the online nodes that accept new chunks as { nodeId, capacity, used, labels } and returns up to
+// `count` distinct ones, in the order copies or shards are assigned.
+let placementCursor = 0;
+
+const PLACEMENT_POLICIES = {
+    // Take nodes in turn, each placement starting one node further along
+    'round-robin': {
+        select(candidates, count) {
+            const start = placementCursor++ % candidates.length;
+            return [...candidates.slice(start), ...candidates.slice(0, start)].slice(0, count);
+        }
+    },
+    
+    // Random, weighted by free bytes (nodes without a capacity count as the average node)
+    capacity: {
+        select(candidates, count) {
+            const known = candidates.filter(node => node.capacity);
+            const averageFree = known.length > 0 ?
+                known.reduce((sum, node) => sum + Math.max(0, node.capacity - node.used), 0) / known.length : 1;
+            const weight = node => node.capacity ? Math.max(1, node.capacity - node.used) : Math.max(1, averageFree);
+            
+            // Weighted sampling without replacement: keep the largest log(u) / weight
+            return candidates
+                .map(node => ({ node, rank: Math.log(Math.random()) / weight(node) }))
+                .sort((a, b) => b.rank - a.rank)
+                .slice(0, count)
+                .map(({ node }) => node);
+        }
+    },
+    
+    // Rendezvous hashing on the chunk key: a chunk maps to the same nodes for as long as they exist,
+    // and adding or removing a node only moves the chunks that rank it highest
+    'consistent-hash': {
+        select(candidates, count, { key }) {
+            return candidates
+                .map(node => ({ node, rank: generateHash(`${key}:${node.nodeId}`) }))
+                .sort((a, b) => (a.rank < b.rank ? 1 : -1))
+                .slice(0, count)
+                .map(({ node }) => node);
+        }
+    },
+    
+    // One copy per failure domain (the PLACEMENT_DOMAIN_LABEL label) before any domain gets a second,
+    // least used node of each domain first. Unlabelled nodes are a domain of their own.
+    'failure-domain': {
+        select(candidates, count) {
+            const domains = new Map();
+            [...candidates].sort((a, b) => a.used - b.used).forEach(node => {
+                const domain = failureDomain(node);
+                domains.has(domain) ? domains.get(domain).push(node) : domains.set(domain, [node]);
+            });
+            
+            const groups = [...domains.values()];
+            const selected = [];
+            for (let round = 0; selected.length < count && groups.some(group => group.length > round); round++) {
+                groups.forEach(group => {
+                    if (group[round] && selected.length < count) {
+                        selected.push(group[round]);
+                    }
+                });
+            }
+            return selected;
+        }
+    }
+};
+
+// Failure domain of a placement candidate
+function failureDomain(node) {
+    const value = node.labels[PLACEMENT_DOMAIN_LABEL];
+    return value !== undefined ? `${PLACEMENT_DOMAIN_LABEL}=${value}` : `node=${node.nodeId}`;
+}
+
+// Resolve the placement policy requested for an upload
+function resolvePlacement(value) {
+    const policy = value || DEFAULT_PLACEMENT;
+    if (!PLACEMENT_POLICIES[policy]) {
+        throw new Error(`Unknown placement policy "${policy}" (use ${Object.keys(PLACEMENT_POLICIES).join(', ')})`);
+    }
+    return policy;
+}
+
+// Pick up to `count` distinct online nodes that accept new chunks with the upload's placement
+// policy, and log the decision. `key` identifies the chunk or stripe being placed and `size` is
+// the bytes each node receives; nodes without room for them are skipped.
+async function selectReplicaNodes(upload, count, key, size, description) {
+    const candidates = [];
+    const full = [];
+    for (const nodeId of getWritableNodeIds()) {
+        if ((await getNodeStatus(nodeId)).status === 'online') {
+            const capacity = nodeCapacity(nodeId);
+            const used = upload.usage[nodeId] || 0;
+            if (capacity && used + size > capacity) {
+                full.push(nodeId);
+                continue;
+            }
+            candidates.push({ nodeId, capacity, labels: nodeRegistry[nodeId].labels || {}, used });
+        }
+    }
+    
+    // Replicated chunks need one node with room, erasure coded stripes one per shard
+    const needed = upload.fileEntry.coding ? count : 1;
+    if (full.length > 0 && candidates.length < needed) {
+        throw uploadError(`No room for ${description}: ${full.join(', ')} ${full.length === 1 ? 'is' : 'are'} full`, 'ENOSPC');
+    }
+    if (full.length > 0) {
+        logEvent(`Skipped full node(s) ${full.join(', ')} for ${description}`, 'warning', { type: 'placement', fileId: upload.fileEntry.fileId });
+    }
+    if (candidates.length === 0) {
+        return [];
+    }
+    
+    const selected = PLACEMENT_POLICIES[upload.placement].select(candidates, count, { key });
+    const domains = new Set(selected.map(failureDomain));
+    logEvent(`Placement (${upload.placement}) of ${description}: ${selected.map(node => node.nodeId).join(', ')}` +
+        (upload.placement === 'failure-domain' ? ` across ${domains.size} domain(s)` : ''), 'info',
+        { type: 'placement', fileId: upload.fileEntry.fileId, nodes: selected.map(node => node.nodeId) });
+    if (upload.placement === 'failure-domain' && domains.size < selected.length) {
+        logEvent(`Only ${domains.size} failure domain(s) available for ${selected.length} copies of ${description}`, 'warning',
+            { type: 'placement', fileId: upload.fileEntry.fileId });
+    }
+    return selected.map(node => node.nodeId);
+}
+
+// Reed-Solomon erasure coding over GF(2^8)
+const GF_EXP = new Uint8Array(512);
+const GF_LOG = new Uint8Array(256);
+const GF_MUL = new Uint8Array(256 * 256);
+
+(function initGaloisField() {
+    let x = 1;
+    for (let i = 0; i < 255; i++) {
+        GF_EXP[i] = x;
+        GF_LOG[x] = i;
+        x <<= 1;
+        if (x & 0x100) {
+            x ^= 0x11d;
+        }
+    }
+    for (let i = 255; i < 512; i++) {
+        GF_EXP[i] = GF_EXP[i - 255];
+    }
+    for (let a = 1; a < 256; a++) {
+        for (let b = 1; b < 256; b++) {
+            GF_MUL[a * 256 + b] = GF_EXP[GF_LOG[a] + GF_LOG[b]];
+        }
+    }
+})();
+
+function gfMul(a, b) {
+    return GF_MUL[a * 256 + b];
+}
+
+function gfInverse(a) {
+    if (a === 0) {
+        throw new Error('Division by zero in GF(256)');
+    }
+    return GF_EXP[255 - GF_LOG[a]];
+}
+
+function gfPow(a, n) {
+    if (n === 0) return 1;
+    if (a === 0) return 0;
+    return GF_EXP[(GF_LOG[a] * n) % 255];
+}
+
+// Invert a square matrix (array of Uint8Array rows) with Gauss-Jordan elimination
+function invertMatrix(matrix) {
+    const size = matrix.length;
+    const work = matrix.map((row, r) => {
+        const extended = new Uint8Array(size * 2);
+        extended.set(row);
+        extended[size + r] = 1;
+        return extended;
+    });
+    
+    for (let col = 0; col < size; col++) {
+        let pivot = col;
+        while (pivot < size && work[pivot][col] === 0) pivot++;
+        if (pivot === size) {
+            throw new Error('Singular matrix');
+        }
+        [work[col], work[pivot]] = [work[pivot], work[col]];
+        
+        const scale = gfInverse(work[col][col]);
+        for (let c = 0; c < size * 2; c++) {
+            work[col][c] = gfMul(work[col][c], scale);
+        }
+        
+        for (let r = 0; r < size; r++) {
+            const factor = work[r][col];
+            if (r === col || factor === 0) continue;
+            for (let c = 0; c < size * 2; c++) {
+                work[r][c] ^= gfMul(factor, work[col][c]);
+            }
+        }
+    }
+    
+    return work.map(row => row.slice(size));
+}
+
+// Systematic (k + m) x k encoding matrix: identity on top, parity rows below
+const encodingMatrices = new Map();
+function getEncodingMatrix(dataShards, parityShards) {
+    const key = `${dataShards}+${parityShards}`;
+    if (!encodingMatrices.has(key)) {
+        const totalShards = dataShards + parityShards;
+        const vandermonde = [];
+        for (let r = 0; r < totalShards; r++) {
+            const row = new Uint8Array(dataShards);
+            for (let c = 0; c < dataShards; c++) {
+                row[c] = gfPow(r, c);
+            }
+            vandermonde.push(row);
+        }
+        const topInverse = invertMatrix(vandermonde.slice(0, dataShards));
+        encodingMatrices.set(key, vandermonde.map(row => {
+            const out = new Uint8Array(dataShards);
+            for (let c = 0; c < dataShards; c++) {
+                let value = 0;
+                for (let i = 0; i < dataShards; i++) {
+                    value ^= gfMul(row[i], topInverse[i][c]);
+                }
+                out[c] = value;
+            }
+            return out;
+        }));
+    }
+    return encodingMatrices.get(key);
+}
+
+// Multiply coefficient rows by input shards, producing one output shard per row
+function multiplyShards(rows, inputs, shardSize) {
+    return rows.map(row => {
+        const output = Buffer.alloc(shardSize);
+        row.forEach((coefficient, i) => {
+            if (coefficient === 0) return;
+            const table = coefficient * 256;
+            const input = inputs[i];
+            for (let b = 0; b < shardSize; b++) {
+                output[b] ^= GF_MUL[table + input[b]];
+            }
+        });
+        return output;
+    });
+}
+
+// Compute parity shards for k equally sized data shards
+function encodeParityShards(dataShards, parityShards) {
+    const matrix = getEncodingMatrix(dataShards.length, parityShards);
+    return multiplyShards(matrix.slice(dataShards.length), dataShards, dataShards[0].length);
+}
+
+// Recover all k data shards from any k available shards (array indexed by shard number)
+function decodeDataShards(shards, dataShards, parityShards) {
+    const matrix = getEncodingMatrix(dataShards, parityShards);
+    const present = [];
+    for (let i = 0; i < shards.length && present.length < dataShards; i++) {
+        if (shards[i]) present.push(i);
+    }
+    if (present.length < dataShards) {
+        throw new Error(`Need ${dataShards} shards, only ${present.length} available`);
+    }
+    const decodeMatrix = invertMatrix(present.map(i => matrix[i]));
+    return multiplyShards(decodeMatrix, present.map(i => shards[i]), shards[present[0]].length);
+}
+
+// Resolve the erasure coding scheme requested for an upload (null means plain replication)
+function resolveCoding(options) {
+    if (options.coding !== 'erasure') {
+        return null;
+    }
+    const dataShards = options.dataShards ? parseInt(options.dataShards, 10) : DEFAULT_DATA_SHARDS;
+    const parityShards = options.parityShards ? parseInt(options.parityShards, 10) : DEFAULT_PARITY_SHARDS;
+    if (!Number.isInteger(dataShards) || dataShards < 1 || !Number.isInteger(parityShards) || parityShards < 1) {
+        throw new Error('Erasure coding needs at least 1 data shard and 1 parity shard');
+    }
+    const nodeCount = getWritableNodeIds().length;
+    if (dataShards + parityShards > nodeCount) {
+        throw new Error(`Erasure coding needs ${dataShards + parityShards} nodes, cluster has ${nodeCount}`);
+    }
+    return { scheme: 'reed-solomon', dataShards, parityShards };
+}
+
+// At-rest encryption: every file gets a random AES-256-GCM data key, stored in
+// metadata wrapped by the master key. Chunks are sealed as iv | tag | ciphertext.
+function loadMasterKey() {
+    let value = process.env.COSMEON_MASTER_KEY;
+    if (!value && process.env.COSMEON_MASTER_KEY_FILE) {
+        value = readFileSync(process.env.COSMEON_MASTER_KEY_FILE, 'utf8');
+    }
+    if (!value) {
+        return null;
+    }
+    value = value.trim();
+    const key = /^[0-9a-f]{64}$/i.test(value) ? Buffer.from(value, 'hex') : Buffer.from(value, 'base64');
+    if (key.length !== 32) {
+        throw new Error('Master key must be 32 bytes (64 hex characters or base64)');
+    }
+    return key;
+}
+
+const MASTER_KEY = loadMasterKey();
+const MASTER_KEY_ID = MASTER_KEY ? generateHash(MASTER_KEY).slice(0, 16) : null;
+const GCM_IV_LENGTH = 12;
+const GCM_TAG_LENGTH = 16;
+
+// Resolve whether an upload is encrypted (defaults to on whenever a master key is configured)
+function resolveEncryption(value) {
+    if (value === undefined || value === null || value === '') {
+        return MASTER_KEY !== null;
+    }
+    const encrypt = value === true || value === 'true' || value === '1';
+    if (encrypt && !MASTER_KEY) {
+        throw new Error('Encryption requested but no master key is configured (set COSMEON_MASTER_KEY)');
+    }
+    return encrypt;
+}
+
+// Generate a data key for a new file and wrap it with the master key
+function createDataKey() {
+    const dataKey = crypto.randomBytes(32);
+    const iv = crypto.randomBytes(GCM_IV_LENGTH);
+    const cipher = crypto.createCipheriv('aes-256-gcm', MASTER_KEY, iv);
+    const wrappedKey = Buffer.concat([cipher.update(dataKey), cipher.final()]);
+    return {
+        dataKey,
+        encryption: {
+            algorithm: 'aes-256-gcm',
+            masterKeyId: MASTER_KEY_ID,
+            wrappedKey: wrappedKey.toString('base64'),
+            iv: iv.toString('base64'),
+            tag: cipher.getAuthTag().toString('base64')
+        }
+    };
+}
+
+// Unwrap a file's data key with the master key
+function unwrapDataKey(encryption) {
+    if (!MASTER_KEY) {
+        throw new Error('File is encrypted but no master key is configured');
+    }
+    if (encryption.masterKeyId !== MASTER_KEY_ID) {
+        throw new Error('File was encrypted with a different master key');
+    }
+    const decipher = crypto.createDecipheriv('aes-256-gcm', MASTER_KEY, Buffer.from(encryption.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(encryption.tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(encryption.wrappedKey, 'base64')), decipher.final()]);
+}
+
+// Encrypt a chunk. The IV is derived from the plaintext so identical chunks under
+// the same data key produce identical ciphertext and can still be deduplicated.
+// This is deliberately deterministic encryption (an SIV-style construction): an IV repeats
+// only for the same plaintext, so GCM's nonce-reuse failure cannot happen, but anyone who can
+// read the nodes sees which chunks of the versions sharing a data key are equal. Erasure shard
+// repair relies on it too, since a rebuilt shard must encrypt to the bytes its object hash names.
+function sealChunk(dataKey, plaintext) {
+    const iv = crypto.createHmac('sha256', dataKey).update(plaintext).digest().subarray(0, GCM_IV_LENGTH);
+    const cipher = crypto.createCipheriv('aes-256-gcm', dataKey, iv);
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+    return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]);
+}
+
+// Decrypt and authenticate a sealed chunk
+function openChunk(dataKey, sealed) {
+    const iv = sealed.subarray(0, GCM_IV_LENGTH);
+    const tag = sealed.subarray(GCM_IV_LENGTH, GCM_IV_LENGTH + GCM_TAG_LENGTH);
+    const decipher = crypto.createDecipheriv('aes-256-gcm', dataKey, iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(sealed.subarray(GCM_IV_LENGTH + GCM_TAG_LENGTH)), decipher.final()]);
+}
+
+// Compression codecs applied per chunk. A codec only needs async compress/decompress functions.
+const CODECS = {
+    gzip: { compress: promisify(zlib.gzip), decompress: promisify(zlib.gunzip) },
+    deflate: { compress: promisify(zlib.deflate), decompress: promisify(zlib.inflate) },
+    brotli: { compress: promisify(zlib.brotliCompress), decompress: promisify(zlib.brotliDecompress) }
+};
+
+// Resolve the compression codec requested for an upload
+function resolveCompression(value) {
+    const codec = value || DEFAULT_COMPRESSION;
+    if (codec !== 'none' && !CODECS[codec]) {
+        throw new Error(`Unknown compression codec "${codec}" (use none, ${Object.keys(CODECS).join(', ')})`);
+    }
+    return codec;
+}
+
+// Turn a chunk into the bytes stored on nodes: compress (kept only if it shrinks), then encrypt
+async function encodeChunk(upload, plaintext, plaintextHash) {
+    let payload = plaintext;
+    let codec = 'none';
+    
+    if (upload.compression !== 'none') {
+        const compressed = await CODECS[upload.compression].compress(plaintext);
+        if (compressed.length < plaintext.length) {
+            payload = compressed;
+            codec = upload.compression;
+        }
+    }
+    
+    const stored = upload.dataKey ? sealChunk(upload.dataKey, payload) : payload;
+    const key = stored === plaintext ? plaintextHash : generateHash(stored);
+    return { stored, key, codec, storedSize: payload.length };
+}
+
+// Reverse encodeChunk for the bytes read from a node
+async function decodeChunk(chunkInfo, stored, dataKey) {
+    let payload = stored;
+    if (dataKey) {
+        try {
+            payload = openChunk(dataKey, stored);
+        } catch (error) {
+            throw new Error(`Chunk ${chunkInfo.chunkId} corrupt: authentication failed`);
+        }
+    }
+    
+    if (chunkInfo.codec && chunkInfo.codec !== 'none') {
+        try {
+            payload = await CODECS[chunkInfo.codec].decompress(payload);
+        } catch (error) {
+            throw new Error(`Chunk ${chunkInfo.chunkId} corrupt: ${chunkInfo.codec} decompression failed`);
+        }
+    }
+    return payload;
+}
+
+// Find an object already stored by this upload or anywhere in the cluster
+function findObject(objectStore, key) {
+    return objectStore.written[key] || objectStore.known[key] || null;
+}
+
+// Object keys that uploads have written but not committed yet, and keys whose copies are being
+// removed from the nodes. An upload waits for a removal of the same key to finish before writing
+// it, and a removal leaves alone a key an upload has written, so neither undoes the other.
+const objectWrites = { pending: new Map(), removing: new Map() };
+
+// Wait until no copy of `key` is being removed, then count it as written by an upload
+async function beginObjectWrite(key) {
+    while (objectWrites.removing.has(key)) {
+        await objectWrites.removing.get(key);
+    }
+    objectWrites.pending.set(key, (objectWrites.pending.get(key) || 0) + 1);
+}
+
+// An upload committed or discarded the objects it wrote
+function endObjectWrites(objectStore) {
+    for (const key of Object.keys(objectStore.written)) {
+        const count = (objectWrites.pending.get(key) || 1) - 1;
+        if (count > 0) {
+            objectWrites.pending.set(key, count);
+        } else {
+            objectWrites.pending.delete(key);
+        }
+    }
+}
+
+// Run `task`, which removes copies of `key` from nodes, while uploads are kept from writing that
+// key. Returns false without running it when an upload has written the key and not committed yet.
+async function withObjectRemoval(key, task) {
+    while (objectWrites.removing.has(key)) {
+        await objectWrites.removing.get(key);
+    }
+    if (objectWrites.pending.has(key)) {
+        return false;
+    }
+    
+    let finish;
+    objectWrites.removing.set(key, new Promise(resolve => { finish = resolve; }));
+    try {
+        await task();
+        return true;
+    } finally {
+        objectWrites.removing.delete(key);
+        finish();
+    }
+}
+
+// Write a new chunk object to each of the given nodes. `rawSize` is the chunk size before compression.
+// `hash` is the SHA-256 of `buffer`; it equals the key except for the separate copies storeStripe makes.
+// A node that fails is skipped as long as at least one replica is written.
+async function writeObject(objectStore, key, buffer, nodeIds, rawSize, codec, hash = key) {
+    await beginObjectWrite(key);
+    const object = { key, hash, size: buffer.length, rawSize, codec, replicas: [] };
+    objectStore.written[key] = object;
+    
+    let lastError = null;
+    for (const nodeId of nodeIds) {
+        try {
+            await nodeClient(nodeId).putChunk(key, buffer, hash);
+        } catch (error) {
+            lastError = error;
+            logEvent(`Failed to store chunk ${key.slice(0, 12)} on ${nodeId}: ${error.message}`, 'error', { type: 'chunk.store', nodeId });
+            continue;
+        }
+        await adjustNodeChunkCount(nodeId, 1);
+        object.replicas.push({ node: nodeId });
+    }
+    
+    if (object.replicas.length === 0) {
+        throw lastError || new Error('No nodes to store chunk on');
+    }
+    return object.replicas;
+}
+
+// Announce a chunk of an upload to its owner, stored on `nodes`. Whether it was deduplicated is
+// left out: it would tell the owner that someone else already stores the same data.
+function announceChunk(fileEntry, chunkId, key, nodes) {
+    publishEvent('chunk.stored', {
+        fileId: fileEntry.fileId,
+        path: fileEntry.path,
+        chunkId,
+        key,
+        nodes,
+        receivedBytes: fileEntry.size
+    }, fileEntry.owner);
+}
+
+// Store one chunk on `replicationFactor` distinct nodes, unless an identical chunk already exists.
+// Objects are keyed by the hash of the bytes at rest (compressed and/or encrypted).
+async function storeReplicatedChunk(upload, chunkId, chunkBuffer, chunkHash = generateHash(chunkBuffer)) {
+    const { fileEntry, objectStore, dataKey } = upload;
+    const { replicationFactor } = fileEntry;
+    const { stored, key, codec, storedSize } = await encodeChunk(upload, chunkBuffer, chunkHash);
+    
+    fileEntry.chunks[chunkId] = {
+        chunkId,
+        hash: chunkHash,
+        size: chunkBuffer.length,
+        codec,
+        storedSize,
+        key
+    };
+    
+    const existing = findObject(objectStore, key);
+    if (existing) {
+        logEvent(`Chunk ${chunkId} deduplicated (${key.slice(0, 12)} already stored)`, 'info', { type: 'chunk.dedup', fileId: fileEntry.fileId, chunk: chunkId });
+        announceChunk(fileEntry, chunkId, key, existing.replicas.map(replica => replica.node));
+        return;
+    }
+    
+    // Find distinct online nodes for every replica
+    const assignedNodes = await selectReplicaNodes(upload, replicationFactor, key, stored.length, `chunk ${chunkId}`);
+    
+    if (assignedNodes.length === 0) {
+        throw new Error('No online nodes available');
+    }
+    
+    if (assignedNodes.length < replicationFactor) {
+        logEvent(`Chunk ${chunkId} under-replicated: ${assignedNodes.length}/${replicationFactor} nodes online`, 'warning',
+            { type: 'chunk.store', fileId: fileEntry.fileId, chunk: chunkId });
+    }
+    
+    const replicas = await writeObject(objectStore, key, stored, assignedNodes, chunkBuffer.length, codec);
+    replicas.forEach(replica => { upload.usage[replica.node] = (upload.usage[replica.node] || 0) + stored.length; });
+    
+    logEvent(`Chunk ${chunkId} stored on ${replicas.map(replica => replica.node).join(', ')} (${stored.length} bytes` +
+        `${codec !== 'none' ? `, ${codec} from ${chunkBuffer.length}` : ''}${dataKey ? ', encrypted' : ''})`, 'info',
+        { type: 'chunk.store', fileId: fileEntry.fileId, chunk: chunkId, nodes: replicas.map(replica => replica.node) });
+    announceChunk(fileEntry, chunkId, key, replicas.map(replica => replica.node));
+}
+
+// Split a stripe into k data shards, add m parity shards and spread them over distinct nodes
+async function storeStripe(upload, stripeIndex, stripeBuffer) {
+    const { fileEntry, objectStore } = upload;
+    const { dataShards, parityShards } = fileEntry.coding;
+    const totalShards = dataShards + parityShards;
+    const shardSize = Math.ceil(stripeBuffer.length / dataShards);
+    
+    const assignedNodes = await selectReplicaNodes(upload, totalShards, generateHash(stripeBuffer), shardSize, `stripe ${stripeIndex}`);
+    if (assignedNodes.length < totalShards) {
+        throw new Error(`Erasure coding needs ${totalShards} online nodes, only ${assignedNodes.length} available`);
+    }
+    
+    // Zero-pad data shards to a common size
+    const shards = [];
+    for (let j = 0; j < dataShards; j++) {
+        const shard = Buffer.alloc(shardSize);
+        stripeBuffer.copy(shard, 0, j * shardSize, Math.min((j + 1) * shardSize, stripeBuffer.length));
+        shards.push(shard);
+    }
+    shards.push(...encodeParityShards(shards, parityShards));
+    
+    // A stripe survives the loss of m nodes only while its shards sit on distinct nodes. An existing
+    // object is reused only when none of its copies is on a node another shard of this stripe uses,
+    // and never twice in one stripe: identical shards (e.g. a zero-filled stripe) get separate copies.
+    const stripeKeys = new Set();
+    const stripeNodes = new Set();
+    let reused = 0;
+    for (let j = 0; j < totalShards; j++) {
+        const chunkId = stripeIndex * totalShards + j;
+        const shardHash = generateHash(shards[j]);
+        const encoded = await encodeChunk(upload, shards[j], shardHash);
+        const { stored, codec, storedSize } = encoded;
+        let { key } = encoded;
+        
+        const otherNodes = new Set([...stripeNodes, ...assignedNodes.filter((nodeId, i) => i !== j)]);
+        const existing = stripeKeys.has(key) ? null : findObject(objectStore, key);
+        if (existing && !existing.replicas.some(replica => otherNodes.has(replica.node))) {
+            reused++;
+            existing.replicas.forEach(replica => stripeNodes.add(replica.node));
+            announceChunk(fileEntry, chunkId, key, existing.replicas.map(replica => replica.node));
+        } else {
+            // Same content already in use elsewhere: store this shard as its own object
+            const hash = key;
+            if (stripeKeys.has(key) || findObject(objectStore, key)) {
+                key = `${hash}-${fileEntry.fileId}-${chunkId}`;
+            }
+            await writeObject(objectStore, key, stored, [assignedNodes[j]], shardSize, codec, hash);
+            upload.usage[assignedNodes[j]] = (upload.usage[assignedNodes[j]] || 0) + stored.length;
+            stripeNodes.add(assignedNodes[j]);
+            announceChunk(fileEntry, chunkId, key, [assignedNodes[j]]);
+        }
+        stripeKeys.add(key);
+        
+        fileEntry.chunks[chunkId] = {
+            chunkId,
+            stripe: stripeIndex,
+            shard: j,
+            parity: j >= dataShards,
+            hash: shardHash,
+            size: shardSize,
+            dataSize: j < dataShards ? Math.max(0, Math.min(shardSize, stripeBuffer.length - j * shardSize)) : 0,
+            codec,
+            storedSize,
+            key
+        };
+    }
+    
+    logEvent(`Stripe ${stripeIndex} stored as ${dataShards}+${parityShards} shards on ${assignedNodes.join(', ')}` +
+        (reused > 0 ? ` (${reused} deduplicated)` : ''), 'info', { type: 'chunk.store', fileId: fileEntry.fileId, stripe: stripeIndex, nodes: assignedNodes });
+}
+
+// Record a finished upload: add the file entry as the newest version of its path and take a
+// reference on every chunk object
+async function commitFileEntry(fileEntry, objectStore) {
+    await updateMetadata(metadata => {
+        assertPathOwner(metadata, fileEntry.path, fileEntry.owner);
+        checkUploadSize(storageUsage(metadata, fileEntry.owner), fileEntry.size);
+        const objects = metadata.objects;
+        
+        for (const chunkInfo of Object.values(fileEntry.chunks)) {
+            const written = objectStore.written[chunkInfo.key];
+            let object = objects[chunkInfo.key];
+            
+            if (!object) {
+                if (!written) {
+                    throw new Error(`Chunk object ${chunkInfo.key} no longer exists`);
+                }
+                object = objects[chunkInfo.key] = { ...written, replicas: [...written.replicas], refCount: 0 };
+            } else if (written) {
+                // Another upload stored the same content concurrently; keep both sets of copies
+                written.replicas
+                    .filter(replica => !object.replicas.some(existing => existing.node === replica.node))
+                    .forEach(replica => object.replicas.push(replica));
+            }
+            
+            object.refCount++;
+            object.replicationFactor = Math.max(object.replicationFactor || 1, fileEntry.replicationFactor);
+        }
+        
+        registerVersion(metadata, fileEntry);
+        metadata.files[fileEntry.fileId] = fileEntry;
+    });
+    endObjectWrites(objectStore);
+    announceFile('uploaded', fileEntry);
+}
+
+// Announce a file version that was uploaded, restored or deleted to its owner
+function announceFile(action, fileInfo) {
+    publishEvent('file.changed', { action, fileId: fileInfo.fileId, path: fileInfo.path, version: fileInfo.version }, fileInfo.owner);
+}
+
+// Read a chunk from the first healthy replica of its object, decrypting and decompressing as needed
+async function readChunk(metadata, chunkInfo, dataKey = null) {
+    const { chunkId } = chunkInfo;
+    const object = metadata.objects[chunkInfo.key];
+    const failures = [];
+    
+    if (!object) {
+        failures.push({ node: null, error: 'Chunk object missing from metadata' });
+        return { buffer: null, failures };
+    }
+    
+    // Prefer online replicas; suspect nodes are tried last, offline and down ones skipped
+    const replicas = [];
+    for (const replica of object.replicas) {
+        const nodeStatus = await getNodeStatus(replica.node);
+        
+        if (!isNodeReachable(nodeStatus)) {
+            failures.push({ node: replica.node, error: `Node ${nodeStatus.status}` });
+            logEvent(`Chunk ${chunkId} replica unavailable (node ${replica.node} is ${nodeStatus.status})`, 'warning',
+                { type: 'chunk.read', nodeId: replica.node, chunk: chunkId });
+            continue;
+        }
+        replicas.push({ ...replica, suspect: nodeStatus.status === 'suspect' });
+    }
+    replicas.sort((a, b) => a.suspect - b.suspect);
+    
+    for (const replica of replicas) {
+        try {
+            const storedBuffer = await nodeClient(replica.node).getChunk(object.key);
+            
+            // Verify the bytes at rest, then authenticate, decrypt and decompress them
+            if (generateHash(storedBuffer) !== object.hash) {
+                countHashFailure(replica.node, 'read');
+                throw new Error(`Chunk ${chunkId} corrupt: hash mismatch`);
+            }
+            
+            const chunkBuffer = await decodeChunk(chunkInfo, storedBuffer, dataKey);
+            
+            // Verify chunk hash
+            if (generateHash(chunkBuffer) !== chunkInfo.hash) {
+                countHashFailure(replica.node, 'read');
+                throw new Error(`Chunk ${chunkId} corrupt: hash mismatch`);
+            }
+            
+            logEvent(`Retrieved chunk ${chunkId} from ${replica.node}`, 'info', { type: 'chunk.read', nodeId: replica.node, chunk: chunkId });
+            return { buffer: chunkBuffer, failures };
+        } catch (error) {
+            failures.push({ node: replica.node, error: error.message });
+            logEvent(`Failed to retrieve chunk ${chunkId} from ${replica.node}: ${error.message}`, 'error',
+                { type: 'chunk.read', nodeId: replica.node, chunk: chunkId });
+            
+            // A missing or damaged copy will not heal on its own
+            if (error.code === 'ENOENT' || error.message.includes('corrupt')) {
+                enqueueRepair(object.key, `${error.code === 'ENOENT' ? 'missing' : 'corrupt'} on ${replica.node}`);
+            }
+        }
+    }
+    
+    return { buffer: null, failures };
+}
+
+// Describe a chunk that could not be read from any replica
+function describeMissingChunk(metadata, chunkInfo, failures) {
+    const object = metadata.objects[chunkInfo.key];
+    return {
+        chunkId: chunkInfo.chunkId,
+        node: object ? object.replicas.map(replica => replica.node).join(', ') : null,
+        error: failures.map(failure => `${failure.node}: ${failure.error}`).join('; '),
+        replicas: failures
+    };
+}
+
+// Map a file to its readable segments: one per chunk, or one per stripe when erasure coded
+function getFileSegments(fileInfo) {
+    const segments = [];
+    let offset = 0;
+    
+    if (fileInfo.coding) {
+        const { dataShards, parityShards, stripes } = fileInfo.coding;
+        const totalShards = dataShards + parityShards;
+        for (let s = 0; s < stripes; s++) {
+            let length = 0;
+            for (let j = 0; j < dataShards; j++) {
+                length += fileInfo.chunks[s * totalShards + j].dataSize;
+            }
+            segments.push({ index: s, offset, length });
+            offset += length;
+        }
+    } else {
+        for (let i = 0; i < fileInfo.totalChunks; i++) {
+            const length = fileInfo.chunks[i].size;
+            segments.push({ index: i, offset, length });
+            offset += length;
+        }
+    }
+    
+    return segments;
+}
+
+// Read and verify one segment, rebuilding lost shards from parity where possible. Only the data
+// shards are fetched; parity shards are read one at a time as data shards turn out missing or damaged.
+async function readSegment(metadata, fileInfo, index) {
+    const missingChunks = [];
+    const rebuiltChunks = [];
+    const dataKey = fileInfo.encryption ? unwrapDataKey(fileInfo.encryption) : null;
+    
+    if (!fileInfo.coding) {
+        const chunkInfo = fileInfo.chunks[index];
+        const { buffer, failures } = await readChunk(metadata, chunkInfo, dataKey);
+        if (!buffer) {
+            missingChunks.push(describeMissingChunk(metadata, chunkInfo, failures));
+        }
+        return { buffer, availableChunks: buffer ? 1 : 0, missingChunks, rebuiltChunks };
+    }
+    
+    const { dataShards, parityShards } = fileInfo.coding;
+    const totalShards = dataShards + parityShards;
+    const shards = [];
+    const failed = [];
+    
+    let available = 0;
+    for (let j = 0; j < totalShards && available < dataShards; j++) {
+        const chunkInfo = fileInfo.chunks[index * totalShards + j];
+        const { buffer, failures } = await readChunk(metadata, chunkInfo, dataKey);
+        if (buffer) {
+            shards[j] = buffer;
+            available++;
+        } else {
+            failed.push(describeMissingChunk(metadata, chunkInfo, failures));
+        }
+    }
+    
+    if (available < dataShards) {
+        logEvent(`Stripe ${index} unrecoverable: ${failed.length} shards lost, parity covers ${parityShards}`, 'error',
+            { type: 'chunk.rebuild', fileId: fileInfo.fileId, stripe: index });
+        return { buffer: null, availableChunks: available, missingChunks: failed, rebuiltChunks };
+    }
+    
+    let dataBuffers = shards.slice(0, dataShards);
+    const lostData = failed.filter(chunk => fileInfo.chunks[chunk.chunkId].shard < dataShards);
+    if (lostData.length > 0) {
+        dataBuffers = decodeDataShards(shards, dataShards, parityShards);
+        lostData.forEach(chunk => {
+            const chunkInfo = fileInfo.chunks[chunk.chunkId];
+            if (generateHash(dataBuffers[chunkInfo.shard]) !== chunkInfo.hash) {
+                throw new Error(`Rebuilt chunk ${chunk.chunkId} hash mismatch`);
+            }
+            rebuiltChunks.push(chunk.chunkId);
+        });
+        logEvent(`Rebuilt ${lostData.length} shard(s) of stripe ${index} from parity`, 'warning', { type: 'chunk.rebuild', fileId: fileInfo.fileId, stripe: index });
+    }
+    
+    const buffer = Buffer.concat(dataBuffers.map((shard, j) =>
+        shard.slice(0, fileInfo.chunks[index * totalShards + j].dataSize)));
+    return { buffer, availableChunks: totalShards - failed.length, missingChunks, rebuiltChunks };
+}
+
+// Parse a single-range `Range` header. Returns null to serve the whole file,
+// false when the range cannot be satisfied, or { start, end } (inclusive).
+function parseRange(header, size) {
+    const match = /^bytes=(\d*)-(\d*)$/.exec((header || '').trim());
+    if (!match || (match[1] === '' && match[2] === '')) {
+        return null;
+    }
+    
+    let start;
+    let end;
+    if (match[1] === '') {
+        // Suffix range: the last N bytes
+        const suffixLength = parseInt(match[2], 10);
+        if (suffixLength === 0) return false;
+        start = Math.max(0, size - suffixLength);
+        end = size - 1;
+    } else {
+        start = parseInt(match[1], 10);
+        end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2], 10), size - 1);
+    }
+    
+    if (start >= size || start > end) {
+        return false;
+    }
+    return { start, end };
+}
+
+// Write to a response, waiting for it to drain when its buffer is full
+function writeWithBackpressure(res, data) {
+    return new Promise((resolve, reject) => {
+        if (res.destroyed) {
+            return reject(new Error('Client disconnected'));
+        }
+        if (res.write(data)) {
+            return resolve();
+        }
+        const onDrain = () => { res.off('close', onClose); resolve(); };
+        const onClose = () => { res.off('drain', onDrain); reject(new Error('Client disconnected')); };
+        res.once('drain', onDrain);
+        res.once('close', onClose);
+    });
+}
+
+// Generate a unique file ID
+function generateFileId() {
+    return Date.now() + '-' + Math.random().toString(36).substr(2, 9);
+}
+
+// Remove one chunk file from a node and decrement its counter
+async function removeChunkFromNode(nodeId, fileName) {
+    await nodeClient(nodeId).deleteChunk(fileName);
+    await adjustNodeChunkCount(nodeId, -1);
+}
+
+// Remove every object written by an upload that did not complete
+async function discardObjects(objectStore) {
+    endObjectWrites(objectStore);
+    await deleteReleasedObjects(Object.values(objectStore.written).map(object => ({ object })), null);
+}
+
+// Release a file's references on its chunk objects. Objects nobody references any
+// more are removed from the metadata and returned, so their chunks can be deleted
+// from the nodes once the metadata lock is released.
+function releaseFileObjects(metadata, fileInfo) {
+    const released = [];
+    let shared = 0;
+    
+    for (const chunkInfo of Object.values(fileInfo.chunks)) {
+        const object = metadata.objects[chunkInfo.key];
+        if (!object) continue;
+        
+        object.refCount--;
+        if (object.refCount > 0) {
+            shared++;
+            continue;
+        }
+        
+        delete metadata.objects[chunkInfo.key];
+        released.push({ object, chunkId: chunkInfo.chunkId });
+    }
+    
+    return { released, shared };
+}
+
+// Delete released objects from every node. Copies on offline nodes, or whose removal fails, are
+// queued in metadata.pendingDeletions and removed once the node comes back online. An object that
+// was committed again since it was released keeps its copies; one an upload is writing right now is
+// left for that upload, and copies it does not reuse are found as orphans by fsck.
+async function deleteReleasedObjects(released, fileId) {
+    const queue = [];
+    let deleted = 0;
+    let kept = 0;
+    
+    for (const { object, chunkId } of released) {
+        const removed = await withObjectRemoval(object.key, async () => {
+            const current = (await readMetadata()).objects[object.key];
+            
+            for (const replica of object.replicas) {
+                if (current && current.replicas.some(copy => copy.node === replica.node)) {
+                    continue;
+                }
+                
+                const nodeStatus = await getNodeStatus(replica.node);
+                if (isNodeReachable(nodeStatus)) {
+                    try {
+                        await removeChunkFromNode(replica.node, object.key);
+                        deleted++;
+                        continue;
+                    } catch (error) {
+                        logEvent(`Failed to remove chunk ${object.key.slice(0, 12)} from ${replica.node}: ${error.message}`, 'error',
+                            { type: 'file.delete', fileId, nodeId: replica.node, chunk: chunkId });
+                    }
+                }
+                
+                queue.push({
+                    node: replica.node,
+                    fileName: object.key,
+                    fileId,
+                    chunkId,
+                    queuedAt: new Date().toISOString()
+                });
+            }
+        });
+        if (!removed) {
+            kept++;
+        }
+    }
+    
+    if (kept > 0) {
+        logEvent(`Kept ${kept} released chunk(s) that an upload is storing again`, 'info', { type: 'file.delete', fileId });
+    }
+    if (queue.length > 0) {
+        await updateMetadata(latest => {
+            latest.pendingDeletions = latest.pendingDeletions || [];
+            latest.pendingDeletions.push(...queue);
+        });
+    }
+    
+    return { deleted, queued: queue.length };
+}
+
+// Delete a file and its unshared chunks on every node. The metadata change is
+// committed first; the node deletes happen after the lock is released.
+// Returns null when the file does not exist.
+async function deleteFile(fileId) {
+    const result = await updateMetadata(metadata => {
+        if (!metadata.files[fileId]) {
+            return null;
+        }
+        
+        const fileInfo = metadata.files[fileId];
+        const { released, shared } = releaseFileObjects(metadata, fileInfo);
+        delete metadata.files[fileId];
+        unregisterVersion(metadata, fileInfo);
+        return { fileInfo, released, shared };
+    });
+    
+    if (!result) {
+        return null;
+    }
+    const { fileInfo, released, shared } = result;
+    const { deleted, queued } = await deleteReleasedObjects(released, fileInfo.fileId);
+    
+    logEvent(`Deleted ${fileInfo.originalName}: ${deleted} chunks removed` +
+        (shared > 0 ? `, ${shared} still referenced by other files` : '') +
+        (queued > 0 ? `, ${queued} queued until their nodes are back online` : ''), queued > 0 ? 'warning' : 'info', { type: 'file.delete', fileId: fileInfo.fileId });
+    announceFile('deleted', fileInfo);
+    
+    return { fileInfo, deleted, queued, shared };
+}
+
+// Finish deletions that were queued while a node was offline
+async function processPendingDeletions(nodeId) {
+    const metadata = await readMetadata();
+    const pendingDeletions = metadata.pendingDeletions || [];
+    const done = new Set();
+    const deletionId = deletion => `${deletion.node}/${deletion.fileName}/${deletion.queuedAt}`;
+    
+    for (const deletion of pendingDeletions) {
+        if (deletion.node !== nodeId) {
+            continue;
+        }
+        
+        // The same content may have been stored on this node again since the deletion was queued,
+        // or an upload may be writing it right now (then the deletion waits for the next attempt)
+        await withObjectRemoval(deletion.fileName, async () => {
+            const object = (await readMetadata()).objects[deletion.fileName];
+            if (object && object.replicas.some(replica => replica.node === nodeId)) {
+                done.add(deletionId(deletion));
+                return;
+            }
+            
+            try {
+                await removeChunkFromNode(deletion.node, deletion.fileName);
+                done.add(deletionId(deletion));
+            } catch (error) {
+                logEvent(`Queued deletion of ${deletion.fileName} on ${nodeId} failed: ${error.message}`, 'error', { type: 'file.delete', nodeId });
+            }
+        });
+    }
+    
+    if (done.size > 0) {
+        await updateMetadata(latest => {
+            latest.pendingDeletions = (latest.pendingDeletions || []).filter(deletion => !done.has(deletionId(deletion)));
+        });
+        logEvent(`Completed ${done.size} queued chunk deletions on ${nodeId}`, 'info', { type: 'file.delete', nodeId });
+    }
+    return done.size;
+}
+
+// Nodes holding the other shards of any erasure-coded stripe an object belongs to.
+// Shards of one stripe must stay on distinct nodes.
+function stripePeerNodes(metadata, key) {
+    const nodes = new Set();
+    for (const file of Object.values(metadata.files)) {
+        if (!file.coding) continue;
+        
+        const chunks = Object.values(file.chunks);
+        for (const chunkInfo of chunks) {
+            if (chunkInfo.key !== key) continue;
+            
+            for (const peer of chunks) {
+                const object = metadata.objects[peer.key];
+                if (peer.stripe === chunkInfo.stripe && peer.key !== key && object) {
+                    object.replicas.forEach(replica => nodes.add(replica.node));
+                }
+            }
+        }
+    }
+    return nodes;
+}
+
+// Online, active nodes that could take a new replica of an object, least loaded first.
+// Nodes that hold the object or another shard of the same stripe are excluded, as are nodes
+// without room for it.
+async function selectTargetNodes(metadata, key) {
+    const object = metadata.objects[key];
+    const excluded = new Set([...object.replicas.map(replica => replica.node), ...stripePeerNodes(metadata, key)]);
+    const usage = nodeUsage(metadata.objects);
+    const load = {};
+    Object.values(metadata.objects).forEach(stored => stored.replicas.forEach(replica => {
+        load[replica.node] = (load[replica.node] || 0) + 1;
+    }));
+    
+    const candidates = [];
+    for (const nodeId of getWritableNodeIds()) {
+        const capacity = nodeCapacity(nodeId);
+        if (capacity && (usage[nodeId] || 0) + object.size > capacity) continue;
+        if (!excluded.has(nodeId) && (await getNodeStatus(nodeId)).status === 'online') {
+            candidates.push(nodeId);
+        }
+    }
+    return candidates.sort((a, b) => (load[a] || 0) - (load[b] || 0));
+}
+
+// Move one replica of an object from `fromNode` to `toNode`, or to the least loaded eligible node.
+// Returns false when no healthy source or eligible target is available.
+async function moveObjectReplica(key, fromNode, toNode = null) {
+    const metadata = await readMetadata();
+    const object = metadata.objects[key];
+    if (!object || !object.replicas.some(replica => replica.node === fromNode)) {
+        return true;
+    }
+    
+    const candidates = await selectTargetNodes(metadata, key);
+    const target = toNode ? candidates.find(nodeId => nodeId === toNode) : candidates[0];
+    if (!target) {
+        logEvent(`No node available to take chunk ${key.slice(0, 12)} from ${fromNode}`, 'warning', { type: 'chunk.move', nodeId: fromNode });
+        return false;
+    }
+    
+    // Source: the draining node itself, or any other healthy replica
+    const sources = [fromNode, ...object.replicas.map(replica => replica.node).filter(nodeId => nodeId !== fromNode)];
+    let buffer = null;
+    for (const nodeId of sources) {
+        if (!isNodeReachable(await getNodeStatus(nodeId))) continue;
+        try {
+            const data = await nodeClient(nodeId).getChunk(key);
+            if (generateHash(data) === object.hash) {
+                buffer = data;
+                break;
+            }
+            countHashFailure(nodeId, 'move');
+        } catch (error) {
+            // Try the next replica
+        }
+    }
+    if (!buffer) {
+        logEvent(`No healthy replica of chunk ${key.slice(0, 12)} to move off ${fromNode}`, 'warning', { type: 'chunk.move', nodeId: fromNode });
+        return false;
+    }
+    
+    await nodeClient(target).putChunk(key, buffer, object.hash);
+    await adjustNodeChunkCount(target, 1);
+    
+    // Swap the replica in the latest metadata; the object may have been deleted meanwhile
+    const fromReachable = isNodeReachable(await getNodeStatus(fromNode));
+    const swapped = await updateMetadata(latest => {
+        const current = latest.objects[key];
+        if (!current) {
+            return false;
+        }
+        current.replicas = current.replicas.filter(replica => replica.node !== fromNode);
+        current.replicas.push({ node: target });
+        if (!fromReachable) {
+            latest.pendingDeletions = latest.pendingDeletions || [];
+            latest.pendingDeletions.push({ node: fromNode, fileName: key, queuedAt: new Date().toISOString() });
+        }
+        return true;
+    });
+    
+    if (!swapped) {
+        await removeChunkFromNode(target, key);
+        return true;
+    }
+    if (fromReachable) {
+        await removeChunkFromNode(fromNode, key);
+    }
+    
+    logEvent(`Moved chunk ${key.slice(0, 12)} from ${fromNode} to ${target}`, 'info', { type: 'chunk.move', nodeId: fromNode, nodes: [fromNode, target] });
+    return true;
+}
+
+// Drains in progress, so a node is never drained twice at once
+const activeDrains = new Set();
+
+// Move every chunk off a draining node. The node becomes `drained` once it holds nothing,
+// and can then be decommissioned. Chunks that cannot be moved yet are retried by the next drain.
+async function drainNode(nodeId) {
+    if (activeDrains.has(nodeId)) {
+        return;
+    }
+    activeDrains.add(nodeId);
+    
+    try {
+        const metadata = await readMetadata();
+        const keys = Object.values(metadata.objects)
+            .filter(object => object.replicas.some(replica => replica.node === nodeId))
+            .map(object => object.key);
+        
+        logEvent(`Draining ${nodeId}: ${keys.length} chunks to move`, 'info', { type: 'node.drain', nodeId });
+        
+        let moved = 0;
+        let failed = 0;
+        for (const key of keys) {
+            // Stop if the drain was cancelled or the node removed
+            if (!nodeRegistry[nodeId] || nodeRegistry[nodeId].state !== 'draining') {
+                break;
+            }
+            
+            try {
+                if (await moveObjectReplica(key, nodeId)) {
+                    moved++;
+                } else {
+                    failed++;
+                }
+            } catch (error) {
+                failed++;
+                logEvent(`Failed to move chunk ${key.slice(0, 12)} off ${nodeId}: ${error.message}`, 'error', { type: 'node.drain', nodeId });
+            }
+        }
+        
+        const entry = nodeRegistry[nodeId];
+        if (!entry || entry.state !== 'draining') {
+            logEvent(`Drain of ${nodeId} stopped after moving ${moved} chunks`, 'warning', { type: 'node.drain', nodeId });
+            return;
+        }
+        
+        const remaining = countNodeObjects(await readMetadata(), nodeId);
+        entry.drain = { moved, failed, remaining, finishedAt: new Date().toISOString() };
+        if (remaining === 0) {
+            entry.state = 'drained';
+            logEvent(`Node ${nodeId} drained (${moved} chunks moved); it can now be decommissioned`, 'info', { type: 'node.drain', nodeId });
+        } else {
+            logEvent(`Drain of ${nodeId} incomplete: ${remaining} chunks could not be moved`, 'warning', { type: 'node.drain', nodeId });
+        }
+        await saveNodeRegistry(nodeId);
+    } finally {
+        activeDrains.delete(nodeId);
+    }
+}
+
+// Number of chunk objects with a replica on a node
+function countNodeObjects(metadata, nodeId) {
+    return Object.values(metadata.objects)
+        .filter(object => object.replicas.some(replica => replica.node === nodeId)).length;
+}
+
+// Remove a node that holds no chunks from the registry. The node process and its data directory are left alone.
+async function decommissionNode(nodeId) {
+    const metadata = await readMetadata();
+    const remaining = countNodeObjects(metadata, nodeId);
+    if (remaining > 0) {
+        throw new Error(`Node ${nodeId} still holds ${remaining} chunks; drain it first`);
+    }
+    
+    delete nodeRegistry[nodeId];
+    await saveNodeRegistry(nodeId);
+    
+    // Queued deletions for the node are moot once its directory is gone
+    await updateMetadata(latest => {
+        latest.pendingDeletions = (latest.pendingDeletions || []).filter(deletion => deletion.node !== nodeId);
+    });
+    await fs.rm(path.join(NODES_DIR, nodeId, 'status.json'), { force: true });
+    
+    logEvent(`Node ${nodeId} decommissioned`, 'info', { type: 'node.decommission', nodeId });
+}
+
+// Repair worker: restores chunk objects that have fewer healthy copies than their target
+// (`replicationFactor`, 1 for erasure-coded shards). Copies come from a healthy replica or,
+// for shards, are rebuilt from the rest of the stripe. Jobs are keyed by object so each
+// object is queued at most once.
+const repairState = {
+    queue: new Map(),
+    running: false,
+    current: null,
+    repaired: 0,
+    failed: 0,
+    lastScanAt: null,
+    recent: []
+};
+
+// Queue an object for repair and wake the worker. Returns false if it is already queued.
+function enqueueRepair(key, reason) {
+    if (repairState.queue.has(key) || (repairState.current && repairState.current.key === key)) {
+        return false;
+    }
+    repairState.queue.set(key, { key, reason, queuedAt: new Date().toISOString() });
+    if (!repairState.running) {
+        setImmediate(runRepairWorker);
+    }
+    return true;
+}
+
+// Objects that have a copy on unavailable nodes or fewer listed copies than their target
+function underReplicatedObjects(metadata, nodeStatuses) {
+    const statuses = {};
+    for (const nodeStatus of nodeStatuses) {
+        statuses[nodeStatus.nodeId] = nodeStatus;
+    }
+    return Object.values(metadata.objects).filter(object => {
+        const available = object.replicas.filter(replica => statuses[replica.node] && isNodeReachable(statuses[replica.node]));
+        return available.length < object.replicas.length || available.length < (object.replicationFactor || 1);
+    });
+}
+
+// Queue every under-replicated object for repair
+async function scanForRepairs(reason = 'scan') {
+    const metadata = await readMetadata();
+    let queued = 0;
+    for (const object of underReplicatedObjects(metadata, await getAllNodesStatus())) {
+        if (enqueueRepair(object.key, reason)) {
+            queued++;
+        }
+    }
+    
+    repairState.lastScanAt = new Date().toISOString();
+    if (queued > 0) {
+        logEvent(`Repair scan (${reason}) queued ${queued} chunks`, 'warning', { type: 'repair.scan' });
+    }
+    return queued;
+}
+
+// Rebuild the stored bytes of a lost erasure-coded shard from the other shards of its stripe
+async function rebuildShard(metadata, key) {
+    for (const fileInfo of Object.values(metadata.files)) {
+        if (!fileInfo.coding) continue;
+        
+        const chunkInfo = Object.values(fileInfo.chunks).find(candidate => candidate.key === key);
+        if (!chunkInfo) continue;
+        
+        const { dataShards, parityShards } = fileInfo.coding;
+        const totalShards = dataShards + parityShards;
+        const dataKey = fileInfo.encryption ? unwrapDataKey(fileInfo.encryption) : null;
+        
+        const shards = [];
+        let available = 0;
+        for (let j = 0; j < totalShards; j++) {
+            const peer = fileInfo.chunks[chunkInfo.stripe * totalShards + j];
+            if (peer.key === key) continue;
+            const { buffer } = await readChunk(metadata, peer, dataKey);
+            if (buffer) {
+                shards[j] = buffer;
+                available++;
+            }
+        }
+        if (available < dataShards) {
+            continue;
+        }
+        
+        const dataBuffers = decodeDataShards(shards, dataShards, parityShards);
+        const plaintext = chunkInfo.shard < dataShards ?
+            dataBuffers[chunkInfo.shard] :
+            encodeParityShards(dataBuffers, parityShards)[chunkInfo.shard - dataShards];
+        if (generateHash(plaintext) !== chunkInfo.hash) {
+            continue;
+        }
+        
+        // Encoding is deterministic, so the rebuilt shard has the same object key
+        const { stored } = await encodeChunk({ dataKey, compression: chunkInfo.codec || 'none' }, plaintext, chunkInfo.hash);
+        if (generateHash(stored) === metadata.objects[key].hash) {
+            return stored;
+        }
+    }
+    return null;
+}
+
+// Bring one object back to its target number of healthy copies. Corrupt or missing copies are
+// dropped; copies on offline or administratively down nodes are replaced and queued for deletion
+// when the node returns. Copies on nodes that do not answer right now are left alone.
+async function repairObject(key) {
+    const metadata = await readMetadata();
+    const object = metadata.objects[key];
+    if (!object) {
+        return { key, action: 'gone' };
+    }
+    
+    const target = object.replicationFactor || 1;
+    const healthy = [];
+    const corrupt = [];
+    const unavailable = [];
+    let source = null;
+    
+    for (const replica of object.replicas) {
+        if (!isNodeReachable(await getNodeStatus(replica.node))) {
+            unavailable.push(replica.node);
+            continue;
+        }
+        try {
+            const data = await nodeClient(replica.node).getChunk(key);
+            if (generateHash(data) === object.hash) {
+                healthy.push(replica.node);
+                source = source || data;
+            } else {
+                countHashFailure(replica.node, 'repair');
+                corrupt.push(replica.node);
+            }
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                corrupt.push(replica.node);
+            }
+        }
+    }
+    
+    if (healthy.length >= target && corrupt.length === 0 && unavailable.length === 0) {
+        return { key, action: 'healthy' };
+    }
+    
+    const created = [];
+    if (healthy.length < target) {
+        source = source || await rebuildShard(metadata, key);
+        if (!source) {
+            throw new Error('no healthy copy to repair from');
+        }
+        
+        const targets = (await selectTargetNodes(metadata, key)).slice(0, target - healthy.length);
+        for (const nodeId of targets) {
+            try {
+                await nodeClient(nodeId).putChunk(key, source, object.hash);
+                await adjustNodeChunkCount(nodeId, 1);
+                created.push(nodeId);
+            } catch (error) {
+                logEvent(`Repair copy of ${key.slice(0, 12)} to ${nodeId} failed: ${error.message}`, 'error', { type: 'repair', nodeId });
+            }
+        }
+    }
+    
+    // Unavailable copies are only given up once the target is met without them
+    const replaced = healthy.length + created.length >= target ? unavailable : [];
+    const dropped = new Set([...corrupt, ...replaced]);
+    
+    const exists = await updateMetadata(latest => {
+        const current = latest.objects[key];
+        if (!current) {
+            return false;
+        }
+        current.replicas = current.replicas.filter(replica => !dropped.has(replica.node));
+        created.forEach(nodeId => current.replicas.push({ node: nodeId }));
+        latest.pendingDeletions = latest.pendingDeletions || [];
+        replaced.forEach(nodeId => latest.pendingDeletions.push({ node: nodeId, fileName: key, queuedAt: new Date().toISOString() }));
+        return true;
+    });
+    if (!exists) {
+        for (const nodeId of created) {
+            await removeChunkFromNode(nodeId, key);
+        }
+        return { key, action: 'gone' };
+    }
+    
+    for (const nodeId of corrupt) {
+        try {
+            await removeChunkFromNode(nodeId, key);
+        } catch (error) {
+            logEvent(`Failed to remove bad copy of ${key.slice(0, 12)} from ${nodeId}: ${error.message}`, 'error', { type: 'repair', nodeId });
+        }
+    }
+    
+    const copies = healthy.length + created.length;
+    if (created.length > 0 || dropped.size > 0) {
+        logEvent(`Repaired chunk ${key.slice(0, 12)}: ${copies}/${target} healthy copies` +
+            (created.length > 0 ? `, copied to ${created.join(', ')}` : '') +
+            (corrupt.length > 0 ? `, dropped bad copies on ${corrupt.join(', ')}` : ''), copies < target ? 'warning' : 'info', { type: 'repair' });
+    }
+    if (copies < target) {
+        throw new Error(`only ${copies}/${target} healthy copies; no more eligible nodes`);
+    }
+    return { key, action: 'repaired', copiedTo: created, dropped: [...dropped] };
+}
+
+// Work through the repair queue one object at a time
+async function runRepairWorker() {
+    if (repairState.running) {
+        return;
+    }
+    repairState.running = true;
+    
+    try {
+        while (repairState.queue.size > 0) {
+            const job = repairState.queue.values().next().value;
+            repairState.queue.delete(job.key);
+            repairState.current = { ...job, startedAt: new Date().toISOString() };
+            
+            const outcome = { key: job.key, reason: job.reason, finishedAt: null };
+            try {
+                const result = await repairObject(job.key);
+                outcome.action = result.action;
+                if (result.action === 'repaired') {
+                    repairState.repaired++;
+                }
+            } catch (error) {
+                outcome.action = 'failed';
+                outcome.error = error.message;
+                repairState.failed++;
+                logEvent(`Repair of chunk ${job.key.slice(0, 12)} failed: ${error.message}`, 'error', { type: 'repair' });
+            }
+            outcome.finishedAt = new Date().toISOString();
+            repairState.recent = [outcome, ...repairState.recent].slice(0, 20);
+            publishEvent('repair.progress', {
+                ...outcome,
+                queueDepth: repairState.queue.size,
+                repaired: repairState.repaired,
+                failed: repairState.failed
+            });
+        }
+    } finally {
+        repairState.running = false;
+        repairState.current = null;
+    }
+}
+
+// Integrity scrubber: walks every node, re-hashes each chunk file against its object hash and
+// reports missing, corrupt and orphaned files. Damaged chunks are handed to the repair worker.
+const scrubState = {
+    running: false,
+    lastReport: null,
+    nodes: {} // latest result per node, kept across partial scrubs
+};
+
+// Read throttle: after `bytes` read since `startedAt`, wait until the average rate is within `rate`
+async function throttle(bytes, startedAt, rate) {
+    const due = startedAt + (bytes / rate) * 1000;
+    const wait = due - Date.now();
+    if (wait > 0) {
+        await new Promise(resolve => setTimeout(resolve, wait));
+    }
+}
+
+// Chunk files on a node that no object points at. Deletions still queued for the node are not
+// orphans, and recent files may belong to an upload that has not been committed yet.
+function findOrphanedChunks(metadata, nodeId, listing) {
+    const expectedKeys = new Set(Object.values(metadata.objects)
+        .filter(object => object.replicas.some(replica => replica.node === nodeId))
+        .map(object => object.key));
+    const queued = new Set((metadata.pendingDeletions || [])
+        .filter(deletion => deletion.node === nodeId)
+        .map(deletion => deletion.fileName));
+    return listing.filter(chunk => !expectedKeys.has(chunk.key) && !queued.has(chunk.key) &&
+        Date.now() - Date.parse(chunk.modifiedAt) >= ORPHAN_GRACE);
+}
+
+// Scrub one node. The health score is the percentage of expected chunks found intact.
+async function scrubNode(metadata, nodeId, { rate, removeOrphans }, progress) {
+    const result = { nodeId, status: 'scrubbed', checked: 0, ok: 0, bytesRead: 0, missing: [], corrupt: [], orphaned: [], healthScore: null };
+    
+    if (!isNodeReachable(await getNodeStatus(nodeId))) {
+        result.status = 'unavailable';
+        return result;
+    }
+    
+    let listing;
+    try {
+        listing = await nodeClient(nodeId).listChunks();
+    } catch (error) {
+        result.status = 'unreachable';
+        result.error = error.message;
+        return result;
+    }
+    
+    const stored = new Map(listing.map(chunk => [chunk.key, chunk]));
+    const expected = Object.values(metadata.objects)
+        .filter(object => object.replicas.some(replica => replica.node === nodeId));
+    
+    for (const object of expected) {
+        result.checked++;
+        if (!stored.has(object.key)) {
+            result.missing.push(object.key);
+            enqueueRepair(object.key, `scrub: missing on ${nodeId}`);
+            continue;
+        }
+        
+        try {
+            const data = await nodeClient(nodeId).getChunk(object.key);
+            result.bytesRead += data.length;
+            progress.bytesRead += data.length;
+            
+            if (generateHash(data) === object.hash) {
+                result.ok++;
+            } else {
+                countHashFailure(nodeId, 'scrub');
+                result.corrupt.push(object.key);
+                enqueueRepair(object.key, `scrub: corrupt on ${nodeId}`);
+            }
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                result.missing.push(object.key);
+                enqueueRepair(object.key, `scrub: missing on ${nodeId}`);
+            } else {
+                result.status = 'incomplete';
+                result.error = error.message;
+                break;
+            }
+        }
+        
+        await throttle(progress.bytesRead, progress.startedAt, rate);
+    }
+    
+    for (const chunk of findOrphanedChunks(metadata, nodeId, listing)) {
+        result.orphaned.push(chunk.key);
+        if (removeOrphans) {
+            await withObjectRemoval(chunk.key, async () => {
+                if (!(await readMetadata()).objects[chunk.key]) {
+                    await nodeClient(nodeId).deleteChunk(chunk.key);
+                }
+            });
+        }
+    }
+    
+    result.healthScore = result.checked > 0 ? Math.round((result.ok / result.checked) * 100) : 100;
+    return result;
+}
+
+// Scrub every node (or the given ones) and keep the report for the dashboard
+async function runScrub({ nodes = getNodeIds(), rate = SCRUB_RATE, removeOrphans = false } = {}) {
+    if (scrubState.running) {
+        throw new Error('A scrub is already running');
+    }
+    scrubState.running = true;
+    
+    try {
+        const metadata = await readMetadata();
+        const progress = { startedAt: Date.now(), bytesRead: 0 };
+        const report = { startedAt: new Date(progress.startedAt).toISOString(), rate, nodes: {} };
+        
+        logEvent(`Scrub started on ${nodes.join(', ')}`, 'info', { type: 'scrub' });
+        for (const nodeId of nodes) {
+            report.nodes[nodeId] = await scrubNode(metadata, nodeId, { rate, removeOrphans }, progress);
+            report.nodes[nodeId].finishedAt = new Date().toISOString();
+            scrubState.nodes[nodeId] = report.nodes[nodeId];
+        }
+        
+        const results = Object.values(report.nodes);
+        report.finishedAt = new Date().toISOString();
+        report.durationMs = Date.now() - progress.startedAt;
+        report.bytesRead = progress.bytesRead;
+        report.totals = {
+            checked: results.reduce((sum, node) => sum + node.checked, 0),
+            ok: results.reduce((sum, node) => sum + node.ok, 0),
+            missing: results.reduce((sum, node) => sum + node.missing.length, 0),
+            corrupt: results.reduce((sum, node) => sum + node.corrupt.length, 0),
+            orphaned: results.reduce((sum, node) => sum + node.orphaned.length, 0)
+        };
+        scrubState.lastReport = report;
+        
+        const { missing, corrupt, orphaned } = report.totals;
+        logEvent(`Scrub finished: ${report.totals.checked} chunks checked, ${missing} missing, ${corrupt} corrupt, ${orphaned} orphaned`,
+            missing + corrupt > 0 ? 'warning' : 'info', { type: 'scrub' });
+        return report;
+    } finally {
+        scrubState.running = false;
+    }
+}
+
+// Consistency check (fsck): compares every node's chunk listing with the metadata without reading
+// chunk contents. Issues found:
+//   orphan    a chunk file no object points at (removed with removeOrphans)
+//   missing   an object lists a copy on a node that does not have the file (queued for repair)
+//   dangling  a file references a chunk object that does not exist
+//   refcount  an object's refCount differs from the number of file chunks referencing it (recomputed)
+//   counter   a node's chunkCount in status.json differs from its files on disk (recomputed)
+// A dry run only reports. Unreachable nodes are reported and skipped.
+const fsckState = {
+    running: false,
+    lastReport: null
+};
+
+// Set a node's stored chunk counter
+async function setNodeChunkCount(nodeId, chunkCount) {
+    const statusFile = path.join(NODES_DIR, nodeId, 'status.json');
+    return withFileLock(statusFile, async () => {
+        const nodeStatus = { ...await getNodeStatus(nodeId), chunkCount };
+        await writeJsonAtomic(statusFile, nodeStatus);
+        return nodeStatus;
+    });
+}
+
+// Number of file chunks referencing each object key
+function countChunkReferences(metadata) {
+    const references = {};
+    Object.values(metadata.files).forEach(file => Object.values(file.chunks).forEach(chunkInfo => {
+        if (chunkInfo.key) {
+            references[chunkInfo.key] = (references[chunkInfo.key] || 0) + 1;
+        }
+    }));
+    return references;
+}
+
+// Run a consistency check over every registered node and keep the report
+async function runFsck({ dryRun = true, removeOrphans = false } = {}) {
+    if (fsckState.running) {
+        throw new Error('A consistency check is already running');
+    }
+    fsckState.running = true;
+    
+    try {
+        const metadata = await readMetadata();
+        const startedAt = Date.now();
+        const report = { startedAt: new Date(startedAt).toISOString(), dryRun, removeOrphans, nodes: {}, issues: [] };
+        
+        for (const nodeId of getNodeIds()) {
+            let listing;
+            try {
+                listing = await nodeClient(nodeId).listChunks();
+            } catch (error) {
+                report.nodes[nodeId] = { status: 'unreachable', error: error.message };
+                continue;
+            }
+            const stored = new Set(listing.map(chunk => chunk.key));
+            const nodeReport = report.nodes[nodeId] = { status: 'checked', files: listing.length, orphansRemoved: 0 };
+            
+            Object.values(metadata.objects)
+                .filter(object => object.replicas.some(replica => replica.node === nodeId) && !stored.has(object.key))
+                .forEach(object => report.issues.push({ type: 'missing', node: nodeId, key: object.key }));
+            
+            for (const chunk of findOrphanedChunks(metadata, nodeId, listing)) {
+                report.issues.push({ type: 'orphan', node: nodeId, key: chunk.key, size: chunk.size, modifiedAt: chunk.modifiedAt });
+                
+                // Re-check: the chunk may have been committed since the metadata was read
+                if (!dryRun && removeOrphans) {
+                    await withObjectRemoval(chunk.key, async () => {
+                        if (!(await readMetadata()).objects[chunk.key]) {
+                            await nodeClient(nodeId).deleteChunk(chunk.key);
+                            nodeReport.orphansRemoved++;
+                        }
+                    });
+                }
+            }
+            
+            const recorded = (await getNodeStatus(nodeId)).chunkCount || 0;
+            const actual = listing.length - nodeReport.orphansRemoved;
+            if (recorded !== actual) {
+                report.issues.push({ type: 'counter', node: nodeId, recorded, actual });
+                if (!dryRun) {
+                    await setNodeChunkCount(nodeId, actual);
+                }
+            }
+        }
+        
+        for (const file of Object.values(metadata.files)) {
+            for (const chunkInfo of Object.values(file.chunks)) {
+                if (chunkInfo.key && !metadata.objects[chunkInfo.key]) {
+                    report.issues.push({ type: 'dangling', fileId: file.fileId, path: file.path, chunkId: chunkInfo.chunkId, key: chunkInfo.key });
+                }
+            }
+        }
+        
+        const references = countChunkReferences(metadata);
+        Object.values(metadata.objects)
+            .filter(object => (object.refCount || 0) !== (references[object.key] || 0))
+            .forEach(object => report.issues.push({ type: 'refcount', key: object.key, recorded: object.refCount || 0, actual: references[object.key] || 0 }));
+        
+        // Recount against the latest metadata so uploads committed meanwhile are not undercounted
+        if (!dryRun && report.issues.some(issue => issue.type === 'refcount')) {
+            await updateMetadata(latest => {
+                const latestReferences = countChunkReferences(latest);
+                Object.values(latest.objects).forEach(object => {
+                    object.refCount = latestReferences[object.key] || 0;
+                });
+            });
+        }
+        
+        report.finishedAt = new Date().toISOString();
+        report.durationMs = Date.now() - startedAt;
+        report.totals = {};
+        for (const type of ['orphan', 'missing', 'dangling', 'refcount', 'counter']) {
+            report.totals[type] = report.issues.filter(issue => issue.type === type).length;
+        }
+        report.totals.orphansRemoved = Object.values(report.nodes).reduce((sum, node) => sum + (node.orphansRemoved || 0), 0);
+        fsckState.lastReport = report;
+        return report;
+    } finally {
+        fsckState.running = false;
+    }
+}
+
+// One page of a consistency report, optionally only issues of one type
+function fsckPage(report, { offset = 0, limit = 100, type = null } = {}) {
+    const { issues, ...summary } = report;
+    const matching = type ? issues.filter(issue => issue.type === type) : issues;
+    return { ...summary, total: matching.length, offset, limit, issues: matching.slice(offset, offset + limit) };
+}
+
+// `node server.js fsck [--fix] [--remove-orphans] [--type <type>] [--offset <n>] [--limit <n>]`
+// Runs a consistency check against the node processes without starting the coordinator.
+// Stop the coordinator before using --fix, or use POST /api/fsck instead.
+async function fsckCommand(args) {
+    const option = name => {
+        const index = args.indexOf(name);
+        return index >= 0 ? args[index + 1] : undefined;
+    };
+    const dryRun = !args.includes('--fix');
+    
+    await loadNodeRegistry();
+    const report = await runFsck({ dryRun, removeOrphans: args.includes('--remove-orphans') });
+    const page = fsckPage(report, {
+        offset: parseInt(option('--offset'), 10) || 0,
+        limit: parseInt(option('--limit'), 10) || 100,
+        type: option('--type') || null
+    });
+    
+    for (const [nodeId, node] of Object.entries(report.nodes)) {
+        console.log(`${nodeId}: ${node.status === 'checked' ? `${node.files} files` : `unreachable (${node.error})`}`);
+    }
+    for (const issue of page.issues) {
+        const { type, ...details } = issue;
+        console.log(`${type.padEnd(8)} ${Object.entries(details).map(([name, value]) => `${name}=${value}`).join(' ')}`);
+    }
+    if (page.total > page.offset + page.issues.length) {
+        console.log(`... ${page.total - page.offset - page.issues.length} more (use --offset and --limit)`);
+    }
+    console.log(`${dryRun ? 'Dry run: ' : ''}${Object.entries(report.totals).map(([name, count]) => `${count} ${name}`).join(', ')}`);
+    if (!dryRun && report.totals.missing > 0) {
+        console.log('Missing copies are restored by the repair worker once the coordinator runs.');
+    }
+    return report.issues.length > 0 ? 1 : 0;
+}
+
+// Rebalancer: moves chunk replicas from nodes holding more than their fair share of bytes to nodes
+// holding less. A node's fair share is proportional to its capacity (nodes without a capacity
+// count as the average). Only active, online nodes take part.
+const rebalanceState = {
+    running: false,
+    lastRun: null
+};
+
+// Bytes on each participating node against its fair share, plus the largest relative deviation
+async function computeBalance(metadata) {
+    const nodes = [];
+    for (const nodeId of getWritableNodeIds()) {
+        if ((await getNodeStatus(nodeId)).status === 'online') {
+            nodes.push({ nodeId, capacity: nodeCapacity(nodeId) });
+        }
+    }
+    
+    const usage = nodeUsage(metadata.objects);
+    nodes.forEach(node => { node.used = usage[node.nodeId] || 0; });
+    
+    const capacities = nodes.filter(node => node.capacity).map(node => node.capacity);
+    const defaultWeight = capacities.length > 0 ? capacities.reduce((sum, value) => sum + value, 0) / capacities.length : 1;
+    const totalWeight = nodes.reduce((sum, node) => sum + (node.capacity || defaultWeight), 0);
+    const totalUsed = nodes.reduce((sum, node) => sum + node.used, 0);
+    
+    let imbalance = 0;
+    nodes.forEach(node => {
+        node.share = totalUsed * (node.capacity || defaultWeight) / totalWeight;
+        node.deviation = node.share > 0 ? (node.used - node.share) / node.share : 0;
+        imbalance = Math.max(imbalance, Math.abs(node.deviation));
+    });
+    
+    return { nodes, totalUsed, imbalance };
+}
+
+// Plan moves, largest fitting chunk first, until every node is within `threshold` of its share
+// or `maxBytes` would be exceeded. Works on a copy of the metadata, which it updates as it plans.
+function planRebalance(metadata, balance, { threshold, maxBytes }) {
+    const simulated = JSON.parse(JSON.stringify(metadata));
+    const nodes = balance.nodes.map(node => ({ ...node }));
+    const moves = [];
+    let plannedBytes = 0;
+    
+    while (true) {
+        const excess = node => node.used - node.share;
+        const over = nodes.filter(node => excess(node) > threshold * node.share).sort((a, b) => excess(b) - excess(a));
+        const under = nodes.filter(node => -excess(node) > 0).sort((a, b) => excess(a) - excess(b));
+        
+        let move = null;
+        for (const from of over) {
+            for (const to of under) {
+                // A move only narrows the spread if the chunk is smaller than the gap between the two nodes
+                const gap = excess(from) - excess(to);
+                const candidates = Object.values(simulated.objects)
+                    .filter(object => object.size < gap && plannedBytes + object.size <= maxBytes &&
+                        object.replicas.some(replica => replica.node === from.nodeId) &&
+                        !object.replicas.some(replica => replica.node === to.nodeId) &&
+                        !stripePeerNodes(simulated, object.key).has(to.nodeId))
+                    .sort((a, b) => b.size - a.size);
+                if (candidates.length > 0) {
+                    move = { key: candidates[0].key, from, to, size: candidates[0].size };
+                    break;
+                }
+            }
+            if (move) break;
+        }
+        if (!move) break;
+        
+        const object = simulated.objects[move.key];
+        object.replicas = object.replicas.map(replica => replica.node === move.from.nodeId ? { node: move.to.nodeId } : replica);
+        move.from.used -= move.size;
+        move.to.used += move.size;
+        plannedBytes += move.size;
+        moves.push({ key: move.key, from: move.from.nodeId, to: move.to.nodeId, size: move.size });
+    }
+    
+    return { moves, plannedBytes };
+}
+
+// Plan and, unless `dryRun`, carry out a rebalance. Each move updates metadata as soon as it finishes;
+// moves are throttled to `rate` bytes per second.
+async function runRebalance({ dryRun = false, threshold = REBALANCE_THRESHOLD, maxBytes = REBALANCE_MAX_BYTES, rate = REBALANCE_RATE } = {}) {
+    if (rebalanceState.running) {
+        throw new Error('A rebalance is already running');
+    }
+    rebalanceState.running = true;
+    
+    try {
+        const metadata = await readMetadata();
+        const before = await computeBalance(metadata);
+        const { moves, plannedBytes } = planRebalance(metadata, before, { threshold, maxBytes });
+        const result = {
+            dryRun,
+            startedAt: new Date().toISOString(),
+            threshold,
+            maxBytes,
+            imbalanceBefore: before.imbalance,
+            nodes: before.nodes,
+            moves,
+            plannedBytes
+        };
+        
+        if (dryRun || moves.length === 0) {
+            return result;
+        }
+        
+        logEvent(`Rebalance started: ${moves.length} moves, ${plannedBytes} bytes`, 'info', { type: 'rebalance' });
+        const startedAt = Date.now();
+        let movedBytes = 0;
+        for (const move of moves) {
+            try {
+                move.done = await moveObjectReplica(move.key, move.from, move.to);
+            } catch (error) {
+                move.done = false;
+                move.error = error.message;
+                logEvent(`Rebalance move of ${move.key.slice(0, 12)} failed: ${error.message}`, 'error', { type: 'rebalance' });
+            }
+            if (move.done) {
+                movedBytes += move.size;
+                await throttle(movedBytes, startedAt, rate);
+            }
+        }
+        
+        result.movedBytes = movedBytes;
+        result.finishedAt = new Date().toISOString();
+        result.imbalanceAfter = (await computeBalance(await readMetadata())).imbalance;
+        rebalanceState.lastRun = result;
+        
+        logEvent(`Rebalance finished: ${moves.filter(move => move.done).length}/${moves.length} moves, ` +
+            `imbalance ${(result.imbalanceBefore * 100).toFixed(0)}% -> ${(result.imbalanceAfter * 100).toFixed(0)}%`, 'info', { type: 'rebalance' });
+        return result;
+    } finally {
+        rebalanceState.running = false;
+    }
+}
+
+// Rebalance automatically when the cluster drifts past the threshold and nothing else is moving data
+async function checkBalance() {
+    if (rebalanceState.running || activeDrains.size > 0 || repairState.running) {
+        return;
+    }
+    const { imbalance } = await computeBalance(await readMetadata());
+    if (imbalance > REBALANCE_THRESHOLD) {
+        logEvent(`Cluster imbalance ${(imbalance * 100).toFixed(0)}% exceeds ${(REBALANCE_THRESHOLD * 100).toFixed(0)}%, rebalancing`, 'warning', { type: 'rebalance' });
+        await runRebalance();
+    }
+}
+
+// Normalize a logical file path: leading slash, no empty, `.` or `..` segments
+function normalizeLogicalPath(value) {
+    const segments = String(value).split('/').filter(segment => segment !== '' && segment !== '.');
+    if (segments.length === 0 || segments.includes('..')) {
+        throw new Error(`Invalid path "${value}"`);
+    }
+    return '/' + segments.join('/');
+}
+
+// Check an uploaded file's name: a single name without separators or control characters.
+// The name is kept as `originalName` and sent back in Content-Disposition.
+function validateFileName(value) {
+    const name = String(value);
+    if (name === '' || name === '.' || name === '..' || name.length > 255 || /[\/\\\x00-\x1f\x7f]/.test(name)) {
+        throw new Error(`Invalid file name ${JSON.stringify(name.slice(0, 64))}`);
+    }
+    return name;
+}
+
+// Append a file entry as the newest version of its logical path
+function registerVersion(metadata, fileEntry) {
+    const entry = metadata.paths[fileEntry.path] || (metadata.paths[fileEntry.path] = { path: fileEntry.path, versions: [] });
+    const latest = entry.versions[entry.versions.length - 1];
+    fileEntry.version = latest ? latest.version + 1 : 1;
+    entry.versions.push({ version: fileEntry.version, fileId: fileEntry.fileId, uploadedAt: fileEntry.uploadedAt });
+}
+
+// Remove a file entry from its path's version list
+function unregisterVersion(metadata, fileInfo) {
+    const entry = metadata.paths[fileInfo.path];
+    if (!entry) return;
+    entry.versions = entry.versions.filter(version => version.fileId !== fileInfo.fileId);
+    if (entry.versions.length === 0) {
+        delete metadata.paths[fileInfo.path];
+    }
+}
+
+// Look up a version of a logical path (the current one when `version` is omitted)
+function findVersion(metadata, logicalPath, version) {
+    const entry = metadata.paths[normalizeLogicalPath(logicalPath)];
+    if (!entry) {
+        return null;
+    }
+    if (version === undefined || version === null || version === '') {
+        return entry.versions[entry.versions.length - 1];
+    }
+    return entry.versions.find(candidate => candidate.version === parseInt(version, 10)) || null;
+}
+
+// Data key of the newest encrypted version of a path, so unchanged chunks encrypt identically and are shared.
+// The price is that equal chunks across the versions of a path are recognisable at rest (see sealChunk).
+function findPathDataKey(metadata, logicalPath) {
+    const entry = metadata.paths[logicalPath];
+    if (!entry) {
+        return null;
+    }
+    for (let i = entry.versions.length - 1; i >= 0; i--) {
+        const fileInfo = metadata.files[entry.versions[i].fileId];
+        if (fileInfo && fileInfo.encryption && fileInfo.encryption.masterKeyId === MASTER_KEY_ID) {
+            return { dataKey: unwrapDataKey(fileInfo.encryption), encryption: fileInfo.encryption };
+        }
+    }
+    return null;
+}
+
+// Delete old versions of a path under a retention policy. The current version is always kept.
+// Every prune is audited; automatic prunes after an upload or rollback have no actor.
+async function pruneVersions(logicalPath, { keepLast = VERSION_KEEP_LAST, maxAgeDays = VERSION_MAX_AGE_DAYS, actor = null } = {}) {
+    const metadata = await readMetadata();
+    const entry = metadata.paths[logicalPath];
+    if (!entry) {
+        return [];
+    }
+    
+    const older = entry.versions.slice(0, -1).reverse(); // newest first, current excluded
+    const cutoff = maxAgeDays > 0 ? Date.now() - maxAgeDays * 24 * 60 * 60 * 1000 : null;
+    const expired = older.filter((version, index) =>
+        (keepLast > 0 && index + 1 >= keepLast) ||
+        (cutoff !== null && new Date(version.uploadedAt).getTime() < cutoff));
+    
+    const pruned = [];
+    for (const version of expired) {
+        if (await deleteFile(version.fileId)) {
+            pruned.push(version.version);
+        }
+    }
+    
+    if (pruned.length > 0) {
+        logEvent(`Pruned ${pruned.length} old version(s) of ${logicalPath}: v${pruned.join(', v')}`, 'info', { type: 'versions.prune' });
+        await recordAudit(actor, 'versions.prune', logicalPath,
+            { versions: pruned, policy: { keepLast, maxAgeDays }, automatic: actor === null });
+    }
+    return pruned;
+}
+
+// Give files uploaded before versioning a logical path, in upload order
+function migrateVersions(metadata) {
+    const unversioned = Object.values(metadata.files)
+        .filter(file => !file.path)
+        .sort((a, b) => new Date(a.uploadedAt) - new Date(b.uploadedAt));
+    
+    for (const file of unversioned) {
+        file.path = normalizeLogicalPath(file.originalName);
+        registerVersion(metadata, file);
+    }
+    return unversioned.length;
+}
+
+// Split an incoming stream into chunks as it arrives and distribute them.
+// Only one chunk (or one stripe for erasure coding) is buffered at a time. An upload whose declared
+// `options.size` cannot fit the owner's quota or the cluster is refused before it is read; without
+// one, `options.requestSize` (an upper bound such as Content-Length) is checked against the cluster.
+// Any upload is refused as soon as it passes MAX_UPLOAD_SIZE or the quota, which is checked again on commit.
+async function storeUploadStream(stream, originalName, options, expectedHash = null) {
+    validateFileName(originalName);
+    const coding = resolveCoding(options);
+    const replicationFactor = coding ? 1 : resolveReplicationFactor(options.replicationFactor);
+    const encrypt = resolveEncryption(options.encrypt);
+    const compression = resolveCompression(options.compression);
+    const placement = resolvePlacement(options.placement);
+    const logicalPath = normalizeLogicalPath(options.path || originalName);
+    
+    // Erasure coded files are cut into stripes of k chunks, each stored as k + m shards
+    const unitSize = coding ? CHUNK_SIZE * coding.dataShards : CHUNK_SIZE;
+    
+    const fileEntry = {
+        fileId: generateFileId(),
+        originalName,
+        path: logicalPath,
+        size: 0,
+        totalChunks: 0,
+        replicationFactor,
+        uploadedAt: new Date().toISOString(),
+        fileHash: null,
+        compression,
+        placement,
+        owner: options.owner || null,
+        chunks: {}
+    };
+    if (coding) {
+        fileEntry.coding = { ...coding, stripes: 0 };
+    }
+    
+    const metadata = await readMetadata();
+    assertPathOwner(metadata, logicalPath, fileEntry.owner);
+    // The owner's stored files and their other uploads in progress count against the quota
+    const usage = storageUsage(metadata, fileEntry.owner);
+    const reservation = { owner: fileEntry.owner, bytes: 0 };
+    const quotaUsage = () => ({ ...usage, used: usage.used + reservedBytes(fileEntry.owner, reservation) });
+    
+    const declaredSize = parseInt(options.size, 10);
+    if (declaredSize >= 0) {
+        checkUploadSize(quotaUsage(), declaredSize);
+        reservation.bytes = declaredSize;
+    }
+    const expectedSize = declaredSize >= 0 ? declaredSize : parseInt(options.requestSize, 10);
+    
+    // Versions of the same path share a data key so their unchanged chunks stay shareable
+    let dataKey = null;
+    if (encrypt) {
+        ({ dataKey, encryption: fileEntry.encryption } = findPathDataKey(metadata, logicalPath) || createDataKey());
+    }
+    
+    logEvent(coding ?
+        `Starting upload: ${logicalPath} (${coding.dataShards}+${coding.parityShards} Reed-Solomon, ${placement} placement${encrypt ? ', encrypted' : ''})` :
+        `Starting upload: ${logicalPath} (${replicationFactor}x replication, ${placement} placement${encrypt ? ', encrypted' : ''})`, 'info',
+        { type: 'upload', fileId: fileEntry.fileId, actor: fileEntry.owner });
+    
+    // Chunks are keyed by content hash; anything already in the cluster is reused
+    const objectStore = { known: metadata.objects, written: {} };
+    const upload = { fileEntry, objectStore, dataKey, compression, placement, usage: nodeUsage(metadata.objects) };
+    
+    const fileHash = crypto.createHash('sha256');
+    let unitHash = crypto.createHash('sha256');
+    let pending = [];
+    let pendingLength = 0;
+    let unitCount = 0;
+    
+    const flushUnit = async () => {
+        const unitBuffer = Buffer.concat(pending, pendingLength);
+        if (coding) {
+            await storeStripe(upload, unitCount, unitBuffer);
+        } else {
+            await storeReplicatedChunk(upload, unitCount, unitBuffer, unitHash.digest('hex'));
+        }
+        unitCount++;
+        unitHash = crypto.createHash('sha256');
+        pending = [];
+        pendingLength = 0;
+    };
+    
+    activeUploads.add(reservation);
+    try {
+        if (expectedSize >= 0) {
+            const copies = coding ? (coding.dataShards + coding.parityShards) / coding.dataShards : replicationFactor;
+            await checkClusterSpace(metadata, Math.ceil(expectedSize * copies));
+        }
+        
+        for await (const data of stream) {
+            fileHash.update(data);
+            fileEntry.size += data.length;
+            checkUploadSize(quotaUsage(), fileEntry.size);
+            reservation.bytes = Math.max(reservation.bytes, fileEntry.size);
+            
+            let offset = 0;
+            while (offset < data.length) {
+                const piece = data.subarray(offset, offset + unitSize - pendingLength);
+                unitHash.update(piece);
+                pending.push(piece);
+                pendingLength += piece.length;
+                offset += piece.length;
+                
+                if (pendingLength === unitSize) {
+                    await flushUnit();
+                }
+            }
+        }
+        
+        if (pendingLength > 0) {
+            await flushUnit();
+        }
+        
+        fileEntry.fileHash = fileHash.digest('hex');
+        fileEntry.totalChunks = coding ? unitCount * (coding.dataShards + coding.parityShards) : unitCount;
+        if (coding) {
+            fileEntry.coding.stripes = unitCount;
+        }
+        
+        if (expectedHash && expectedHash !== fileEntry.fileHash) {
+            throw new Error('File hash mismatch - upload corrupted');
+        }
+        
+        await commitFileEntry(fileEntry, objectStore);
+    } catch (error) {
+        await discardObjects(objectStore);
+        throw error;
+    } finally {
+        activeUploads.delete(reservation);
+    }
+    
+    // Apply the default retention policy to the path's older versions
+    try {
+        await pruneVersions(logicalPath);
+    } catch (error) {
+        logEvent(`Version pruning failed for ${logicalPath}: ${error.message}`, 'error', { type: 'versions.prune' });
+    }
+    
+    return fileEntry;
+}
+
+// Multer storage engine that streams uploads straight into node chunks.
+// Form fields must precede the file part to be visible as upload options.
+const storage = {
+    _handleFile(req, file, cb) {
+        const options = { ...req.query, ...req.body, requestSize: req.get('Content-Length'), owner: req.user.username };
+        storeUploadStream(file.stream, file.originalname, options)
+            .then(fileEntry => cb(null, { fileId: fileEntry.fileId, size: fileEntry.size, fileEntry }))
+            .catch(cb);
+    },
+    _removeFile(req, file, cb) {
+        deleteFile(file.fileId).then(() => cb(null), cb);
+    }
+};
+
+const upload = multer({ storage });
+
+// Run the multer middleware as a promise so errors reach the route's handler
+function receiveUpload(req, res) {
+    return new Promise((resolve, reject) => {
+        upload.single('file')(req, res, error => error ? reject(error) : resolve());
+    });
+}
+
+// Resumable upload sessions: parts are staged under uploads/sessions/<sessionId>
+// until the client commits, then streamed through the normal chunk pipeline.
+function sessionDir(sessionId) {
+    if (!/^[\w-]+$/.test(sessionId)) {
+        throw new Error('Invalid session ID');
+    }
+    return path.join(SESSIONS_DIR, sessionId);
+}
+
+async function readSession(sessionId) {
+    try {
+        const data = await fs.readFile(path.join(sessionDir(sessionId), 'session.json'), 'utf8');
+        return JSON.parse(data);
+    } catch (error) {
+        return null;
+    }
+}
+
+// The session named in the request, if it belongs to the caller (administrators see every session)
+async function readOwnSession(req) {
+    const session = await readSession(req.params.sessionId);
+    return session && (req.user.role === 'admin' || session.owner === req.user.username) ? session : null;
+}
+
+// Expected byte length of a part
+function partLength(session, partNumber) {
+    return Math.min(session.partSize, session.size - partNumber * session.partSize);
+}
+
+// List the parts already received (a part file only exists once its hash was verified)
+async function listReceivedParts(session) {
+    const entries = await fs.readdir(sessionDir(session.sessionId));
+    return entries
+        .map(entry => /^part-(\d+)$/.exec(entry))
+        .filter(Boolean)
+        .map(match => parseInt(match[1], 10))
+        .filter(partNumber => partNumber < session.totalParts)
+        .sort((a, b) => a - b);
+}
+
+async function describeSession(session) {
+    const receivedParts = await listReceivedParts(session);
+    const received = new Set(receivedParts);
+    const missingParts = [];
+    for (let n = 0; n < session.totalParts; n++) {
+        if (!received.has(n)) missingParts.push(n);
+    }
+    return { ...session, receivedParts, missingParts };
+}
+
+// Concatenate staged parts, in order, into one readable stream
+function streamSessionParts(session) {
+    async function* readParts() {
+        for (let n = 0; n < session.totalParts; n++) {
+            yield* createReadStream(path.join(sessionDir(session.sessionId), `part-${n}`));
+        }
+    }
+    return Readable.from(readParts());
+}
+
+// Drop sessions that were abandoned for longer than SESSION_TTL
+async function cleanupExpiredSessions() {
+    const entries = await fs.readdir(SESSIONS_DIR).catch(() => []);
+    for (const sessionId of entries) {
+        const session = await readSession(sessionId);
+        if (!session || Date.now() - new Date(session.createdAt).getTime() > SESSION_TTL) {
+            await fs.rm(path.join(SESSIONS_DIR, sessionId), { recursive: true, force: true });
+            logEvent(`Expired upload session ${sessionId} removed`, 'info', { type: 'upload.session' });
+        }
+    }
+}
+
+// Stream a file's chunks in order straight from the nodes, honouring a single `Range` header
+async function sendFile(req, res, metadata, fileInfo) {
+    try {
+        const size = fileInfo.size;
+        const range = parseRange(req.headers.range, size);
+        
+        if (range === false) {
+            res.set('Content-Range', `bytes */${size}`);
+            return res.status(416).json({ error: 'Requested range not satisfiable' });
+        }
+        
+        const start = range ? range.start : 0;
+        const end = range ? range.end : size - 1;
+        const segments = getFileSegments(fileInfo)
+            .filter(segment => segment.offset <= end && segment.offset + segment.length > start);
+        
+        // Read the first segment before committing to a status code
+        let current = segments.length > 0 ? await readSegment(metadata, fileInfo, segments[0].index) : null;
+        if (current && !current.buffer) {
+            return res.status(503).json({
+                error: 'File data unavailable',
+                missingChunks: current.missingChunks
+            });
+        }
+        
+        res.status(range ? 206 : 200);
+        res.attachment(fileInfo.originalName);
+        res.set({
+            'Accept-Ranges': 'bytes',
+            'Content-Length': size === 0 ? 0 : end - start + 1
+        });
+        if (range) {
+            res.set('Content-Range', `bytes ${start}-${end}/${size}`);
+        }
+        
+        if (req.method === 'HEAD') {
+            return res.end();
+        }
+        
+        const fileHash = range ? null : crypto.createHash('sha256');
+        for (let i = 0; i < segments.length; i++) {
+            const segment = segments[i];
+            if (i > 0) {
+                current = await readSegment(metadata, fileInfo, segment.index);
+                if (!current.buffer) {
+                    throw new Error(`Segment ${segment.index} unavailable`);
+                }
+            }
+            
+            if (fileHash) {
+                fileHash.update(current.buffer);
+            }
+            
+            const from = Math.max(start - segment.offset, 0);
+            const to = Math.min(end - segment.offset + 1, segment.length);
+            await writeWithBackpressure(res, current.buffer.subarray(from, to));
+        }
+        
+        if (fileHash && fileHash.digest('hex') !== fileInfo.fileHash) {
+            logEvent(`Download of ${fileInfo.originalName} does not match the stored file hash`, 'error', { type: 'download', fileId: fileInfo.fileId });
+        }
+        
+        res.end();
+        
+    } catch (error) {
+        logEvent(`Download error (${fileInfo.originalName}): ${error.message}`, 'error', { type: 'download', fileId: fileInfo.fileId });
+        if (res.headersSent) {
+            res.destroy(error);
+        } else {
+            res.status(500).json({ error: error.message });
+        }
+    }
+}
+
+// API Routes
+
+// Sign in with a username and password; returns a login token for the Authorization header
+app.post('/api/auth/login', async (req, res) => {
+    try {
+        const { username, password } = req.body;
+        const user = authStore.users[username];
+        if (!user || typeof password !== 'string' || !await verifyPassword(password, user.passwordHash)) {
+            logEvent(`Failed sign-in for ${JSON.stringify(String(username || '').slice(0, 64))}`, 'warning', { type: 'auth.login' });
+            await recordAudit(null, 'auth.login_failed', String(username || '').slice(0, 64), { ip: req.ip });
+            return res.status(401).json({ success: false, error: 'Invalid username or password' });
+        }
+        
+        // Drop expired tokens while we are writing anyway
+        Object.values(authStore.tokens)
+            .filter(token => token.expiresAt && Date.parse(token.expiresAt) < Date.now())
+            .forEach(token => { delete authStore.tokens[token.id]; });
+        
+        const token = await issueToken(user.username, {
+            name: 'login',
+            kind: 'login',
+            expiresAt: new Date(Date.now() + LOGIN_TOKEN_TTL).toISOString()
+        });
+        await recordAudit(user.username, 'auth.login', user.username, { ip: req.ip, tokenId: token.id });
+        res.json({
+            success: true,
+            token: token.token,
+            expiresAt: token.expiresAt,
+            user: describeUser(user),
+            storage: storageUsage(await readMetadata(), user.username)
+        });
+        
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Revoke the token used for this request
+app.post('/api/auth/logout', async (req, res) => {
+    try {
+        delete authStore.tokens[req.token.id];
+        await saveAuthStore();
+        await recordAudit(req.user.username, 'auth.logout', req.user.username, { tokenId: req.token.id });
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Sign an /api URL for the browser to follow itself. Body: { url }
+app.post('/api/auth/link', (req, res) => {
+    const url = typeof req.body.url === 'string' ? req.body.url : '';
+    if (!url.startsWith('/api/')) {
+        return res.status(400).json({ success: false, error: 'url must be a path under /api/' });
+    }
+    res.json({ success: true, ...signLink(url, req.token) });
+});
+
+// The signed-in user and their storage use
+app.get('/api/auth/me', async (req, res) => {
+    try {
+        res.json({
+            user: describeUser(req.user),
+            token: describeToken(req.token),
+            storage: storageUsage(await readMetadata(), req.user.username)
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// List API and login tokens: the caller's own, or every token for administrators
+app.get('/api/tokens', (req, res) => {
+    const tokens = Object.values(authStore.tokens)
+        .filter(token => req.user.role === 'admin' || token.username === req.user.username)
+        .map(describeToken);
+    res.json({ tokens });
+});
+
+// Create an API token for the caller. Body: { name, expiresInDays? }. The secret is only shown once.
+app.post('/api/tokens', async (req, res) => {
+    try {
+        const expiresInDays = req.body.expiresInDays !== undefined ? parseFloat(req.body.expiresInDays) : null;
+        if (expiresInDays !== null && !(expiresInDays > 0)) {
+            return res.status(400).json({ success: false, error: 'expiresInDays must be a positive number' });
+        }
+        
+        const token = await issueToken(req.user.username, {
+            name: String(req.body.name || 'api').slice(0, 64),
+            expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000).toISOString() : null
+        });
+        logEvent(`API token "${token.name}" created for ${req.user.username}`, 'info', { type: 'token.create', actor: req.user.username });
+        await recordAudit(req.user.username, 'token.create', token.id, { name: token.name, expiresAt: token.expiresAt });
+        res.status(201).json({ success: true, ...token });
+        
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Revoke a token (own tokens, or any token for administrators)
+app.delete('/api/tokens/:tokenId', async (req, res) => {
+    try {
+        const token = authStore.tokens[req.params.tokenId];
+        if (!token || (req.user.role !== 'admin' && token.username !== req.user.username)) {
+            return res.status(404).json({ success: false, error: 'Token not found' });
+        }
+        
+        delete authStore.tokens[token.id];
+        await saveAuthStore();
+        logEvent(`Token "${token.name}" of ${token.username} revoked`, 'info', { type: 'token.revoke', actor: req.user.username });
+        await recordAudit(req.user.username, 'token.revoke', token.id, { name: token.name, owner: token.username });
+        res.json({ success: true, id: token.id });
+        
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// List accounts with their storage use
+app.get('/api/users', requireAdmin, async (req, res) => {
+    try {
+        const metadata = await readMetadata();
+        res.json({
+            users: Object.values(authStore.users).map(user => ({ ...describeUser(user), storage: storageUsage(metadata, user.username) }))
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Create an account. Body: { username, password, role?, quota? }
+app.post('/api/users', requireAdmin, async (req, res) => {
+    try {
+        const quota = req.body.quota !== undefined ? req.body.quota : null;
+        const user = await createUser(req.body.username, req.body.password, req.body.role || 'user', quota);
+        await recordAudit(req.user.username, 'user.create', user.username, { role: user.role, quota: user.quota });
+        res.status(201).json({ success: true, user: describeUser(user) });
+    } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+// Change a password (yourself, or anyone as an administrator), or a role or storage quota
+// (administrators only). Body: { password?, role?, quota? }
+app.patch('/api/users/:username', async (req, res) => {
+    try {
+        const user = authStore.users[req.params.username];
+        const isAdmin = req.user.role === 'admin';
+        if (!user || (!isAdmin && user.username !== req.user.username)) {
+            return res.status(404).json({ success: false, error: 'User not found' });
+        }
+        if ((req.body.role !== undefined || req.body.quota !== undefined) && !isAdmin) {
+            return res.status(403).json({ success: false, error: 'Administrator access required' });
+        }
+        
+        // Validate every field before changing any
+        const { password, role, quota } = req.body;
+        if (password !== undefined && (typeof password !== 'string' || password.length < 8)) {
+            return res.status(400).json({ success: false, error: 'password must be at least 8 characters' });
+        }
+        if (role !== undefined && !['user', 'admin'].includes(role)) {
+            return res.status(400).json({ success: false, error: 'role must be user or admin' });
+        }
+        if (quota !== undefined) {
+            try {
+                validateQuota(quota);
+            } catch (error) {
+                return res.status(400).json({ success: false, error: error.message });
+            }
+        }
+        const otherAdmins = Object.values(authStore.users).filter(other => other.role === 'admin' && other !== user);
+        if (role !== undefined && role !== 'admin' && otherAdmins.length === 0) {
+            return res.status(409).json({ success: false, error: 'The last administrator cannot be demoted' });
+        }
+        
+        if (password !== undefined) {
+            user.passwordHash = await hashPassword(password);
+        }
+        if (role !== undefined) {
+            user.role = role;
+        }
+        if (quota !== undefined) {
+            user.quota = quota;
+        }
+        
+        await saveAuthStore();
+        logEvent(`User ${user.username} updated`, 'info', { type: 'user.update', actor: req.user.username });
+        await recordAudit(req.user.username, 'user.update', user.username, {
+            passwordChanged: password !== undefined,
+            ...(role !== undefined && { role }),
+            ...(quota !== undefined && { quota })
+        });
+        res.json({ success: true, user: describeUser(user) });
+        
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Delete an account and revoke its tokens. Its files stay, readable by administrators.
+app.delete('/api/users/:username', requireAdmin, async (req, res) => {
+    try {
+        const user = authStore.users[req.params.username];
+        if (!user) {
+            return res.status(404).json({ success: false, error: 'User not found' });
+        }
+        if (user.username === req.user.username) {
+            return res.status(409).json({ success: false, error: 'You cannot delete your own account' });
+        }
+        
+        delete authStore.users[user.username];
+        Object.values(authStore.tokens)
+            .filter(token => token.username === user.username)
+            .forEach(token => { delete authStore.tokens[token.id]; });
+        await saveAuthStore();
+        logEvent(`User ${user.username} deleted`, 'info', { type: 'user.delete', actor: req.user.username });
+        await recordAudit(req.user.username, 'user.delete', user.username, { role: user.role });
+        res.json({ success: true, username: user.username });
+        
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Upload file and create chunks
+app.post('/api/upload', async (req, res) => {
+    const startedAt = Date.now();
+    try {
+        await receiveUpload(req, res);
+        
+        if (!req.file) {
+            throw new Error('No file provided');
+        }
+        
+        const { fileEntry } = req.file;
+        
+        logEvent(`Upload completed: ${fileEntry.originalName} (${(fileEntry.size / 1024).toFixed(2)} KB, ${fileEntry.totalChunks} chunks)`, 'info',
+            { type: 'upload', fileId: fileEntry.fileId, actor: req.user.username, durationMs: Date.now() - startedAt });
+        observeRequest('upload', 'success', startedAt);
+        await recordAudit(req.user.username, 'file.upload', fileEntry.fileId,
+            { path: fileEntry.path, version: fileEntry.version, size: fileEntry.size, fileHash: fileEntry.fileHash });
+        
+        res.json({
+            success: true,
+            fileId: fileEntry.fileId,
+            originalName: fileEntry.originalName,
+            path: fileEntry.path,
+            version: fileEntry.version,
+            totalChunks: fileEntry.totalChunks,
+            replicationFactor: fileEntry.replicationFactor,
+            coding: fileEntry.coding || null,
+            message: 'File uploaded and distributed successfully'
+        });
+        
+    } catch (error) {
+        logEvent(`Upload error: ${error.message}`, 'error', { type: 'upload', actor: req.user.username });
+        observeRequest('upload', 'error', startedAt);
+        res.status(uploadErrorStatus(error)).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Create a resumable upload session
+app.post('/api/uploads', async (req, res) => {
+    try {
+        const { fileName, fileHash, ...options } = req.body;
+        const size = parseInt(req.body.size, 10);
+        const partSize = req.body.partSize ? parseInt(req.body.partSize, 10) : CHUNK_SIZE;
+        
+        if (!fileName) {
+            throw new Error('fileName is required');
+        }
+        validateFileName(fileName);
+        if (!Number.isInteger(size) || size < 0) {
+            throw new Error('size must be a non-negative integer');
+        }
+        if (!Number.isInteger(partSize) || partSize < 1 || partSize > MAX_PART_SIZE) {
+            throw new Error(`partSize must be between 1 and ${MAX_PART_SIZE} bytes`);
+        }
+        
+        // Validate placement options up front rather than at commit time
+        delete options.size;
+        delete options.partSize;
+        const coding = resolveCoding(options);
+        const copies = coding ? (coding.dataShards + coding.parityShards) / coding.dataShards :
+            resolveReplicationFactor(options.replicationFactor);
+        resolveEncryption(options.encrypt);
+        resolveCompression(options.compression);
+        resolvePlacement(options.placement);
+        normalizeLogicalPath(options.path || fileName);
+        
+        // Refuse uploads that cannot fit before any part is sent
+        const metadata = await readMetadata();
+        const usage = storageUsage(metadata, req.user.username);
+        checkUploadSize({ ...usage, used: usage.used + reservedBytes(req.user.username) }, size);
+        await checkClusterSpace(metadata, Math.ceil(size * copies));
+        
+        const session = {
+            sessionId: crypto.randomBytes(12).toString('hex'),
+            fileName,
+            size,
+            partSize,
+            totalParts: Math.ceil(size / partSize),
+            fileHash: fileHash || null,
+            options,
+            owner: req.user.username,
+            createdAt: new Date().toISOString()
+        };
+        
+        await fs.mkdir(sessionDir(session.sessionId), { recursive: true });
+        await fs.writeFile(path.join(sessionDir(session.sessionId), 'session.json'), JSON.stringify(session, null, 2));
+        
+        logEvent(`Upload session ${session.sessionId} opened for ${fileName} (${session.totalParts} parts)`, 'info',
+            { type: 'upload.session', actor: req.user.username });
+        
+        res.json({ success: true, ...await describeSession(session) });
+        
+    } catch (error) {
+        res.status(uploadErrorStatus(error, 400)).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Query which parts of a session have been received
+app.get('/api/uploads/:sessionId', async (req, res) => {
+    try {
+        const session = await readOwnSession(req);
+        
+        if (!session) {
+            return res.status(404).json({ success: false, error: 'Upload session not found' });
+        }
+        
+        res.json({ success: true, ...await describeSession(session) });
+        
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Upload one numbered part; the body is the raw part bytes and X-Part-Hash its SHA-256
+app.put('/api/uploads/:sessionId/parts/:partNumber', express.raw({ type: () => true, limit: MAX_PART_SIZE }), async (req, res) => {
+    try {
+        const session = await readOwnSession(req);
+        
+        if (!session) {
+            return res.status(404).json({ success: false, error: 'Upload session not found' });
+        }
+        
+        const partNumber = parseInt(req.params.partNumber, 10);
+        if (!Number.isInteger(partNumber) || partNumber < 0 || partNumber >= session.totalParts) {
+            return res.status(400).json({ success: false, error: `Part number must be between 0 and ${session.totalParts - 1}` });
+        }
+        
+        const body = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+        const expectedLength = partLength(session, partNumber);
+        if (body.length !== expectedLength) {
+            return res.status(400).json({ success: false, error: `Part ${partNumber} must be ${expectedLength} bytes, got ${body.length}` });
+        }
+        
+        const expectedHash = req.get('X-Part-Hash');
+        const partHash = generateHash(body);
+        if (!expectedHash) {
+            return res.status(400).json({ success: false, error: 'X-Part-Hash header is required' });
+        }
+        if (expectedHash.toLowerCase() !== partHash) {
+            return res.status(422).json({ success: false, error: `Part ${partNumber} hash mismatch` });
+        }
+        
+        // Write then rename so a dropped connection never leaves a half-written part; each
+        // request gets its own temporary file so two uploads of the same part cannot mix
+        const partPath = path.join(sessionDir(session.sessionId), `part-${partNumber}`);
+        const tempPath = `${partPath}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+        try {
+            await fs.writeFile(tempPath, body);
+            await fs.rename(tempPath, partPath);
+        } catch (error) {
+            await fs.rm(tempPath, { force: true });
+            throw error;
+        }
+        
+        res.json({ success: true, sessionId: session.sessionId, partNumber, size: body.length, hash: partHash });
+        
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Commit a session: stream the parts through chunk distribution and record the file
+app.post('/api/uploads/:sessionId/commit', async (req, res) => {
+    const startedAt = Date.now();
+    try {
+        const session = await readOwnSession(req);
+        
+        if (!session) {
+            return res.status(404).json({ success: false, error: 'Upload session not found' });
+        }
+        
+        const { missingParts } = await describeSession(session);
+        if (missingParts.length > 0) {
+            return res.status(409).json({
+                success: false,
+                error: `Upload incomplete: ${missingParts.length} parts missing`,
+                missingParts
+            });
+        }
+        
+        const fileEntry = await storeUploadStream(streamSessionParts(session), session.fileName,
+            { ...session.options, size: session.size, owner: session.owner }, session.fileHash);
+        
+        await fs.rm(sessionDir(session.sessionId), { recursive: true, force: true });
+        
+        logEvent(`Upload completed: ${fileEntry.originalName} (${(fileEntry.size / 1024).toFixed(2)} KB, ${fileEntry.totalChunks} chunks)`, 'info',
+            { type: 'upload', fileId: fileEntry.fileId, actor: req.user.username, durationMs: Date.now() - startedAt });
+        observeRequest('upload', 'success', startedAt);
+        await recordAudit(req.user.username, 'file.upload', fileEntry.fileId,
+            { path: fileEntry.path, version: fileEntry.version, size: fileEntry.size, fileHash: fileEntry.fileHash });
+        
+        res.json({
+            success: true,
+            fileId: fileEntry.fileId,
+            originalName: fileEntry.originalName,
+            path: fileEntry.path,
+            version: fileEntry.version,
+            totalChunks: fileEntry.totalChunks,
+            replicationFactor: fileEntry.replicationFactor,
+            coding: fileEntry.coding || null,
+            message: 'File uploaded and distributed successfully'
+        });
+        
+    } catch (error) {
+        logEvent(`Upload error: ${error.message}`, 'error', { type: 'upload', actor: req.user.username });
+        observeRequest('upload', 'error', startedAt);
+        res.status(uploadErrorStatus(error)).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Abort a session and discard its staged parts
+app.delete('/api/uploads/:sessionId', async (req, res) => {
+    try {
+        const session = await readOwnSession(req);
+        
+        if (!session) {
+            return res.status(404).json({ success: false, error: 'Upload session not found' });
+        }
+        
+        await fs.rm(sessionDir(session.sessionId), { recursive: true, force: true });
+        logEvent(`Upload session ${session.sessionId} aborted`, 'info', { type: 'upload.session', actor: req.user.username });
+        
+        res.json({ success: true, sessionId: session.sessionId });
+        
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Reconstruct file: verify every chunk is readable and the data matches the file hash.
+// Nothing is written to disk; the download endpoint streams straight from the nodes.
+app.post('/api/reconstruct/:fileId', async (req, res) => {
+    const startedAt = Date.now();
+    try {
+        const { fileId } = req.params;
+        const metadata = await readMetadata();
+        
+        if (!metadata.files[fileId]) {
+            throw new Error('File not found');
+        }
+        if (!canAccessFile(req.user, metadata.files[fileId])) {
+            return res.status(403).json({ success: false, error: 'Access denied' });
+        }
+        
+        const fileInfo = metadata.files[fileId];
+        const totalChunks = fileInfo.totalChunks;
+        
+        logEvent(`Starting reconstruction: ${fileInfo.originalName}`, 'info', { type: 'reconstruct', fileId, actor: req.user.username });
+        
+        const segments = getFileSegments(fileInfo);
+        const missingChunks = [];
+        const rebuiltChunks = [];
+        const fileHash = crypto.createHash('sha256');
+        let availableChunks = 0;
+        let recoveredSegments = 0;
+        
+        for (const segment of segments) {
+            const result = await readSegment(metadata, fileInfo, segment.index);
+            availableChunks += result.availableChunks;
+            missingChunks.push(...result.missingChunks);
+            rebuiltChunks.push(...result.rebuiltChunks);
+            
+            if (result.buffer) {
+                fileHash.update(result.buffer);
+                recoveredSegments++;
+            }
+            publishEvent('reconstruct.progress', {
+                fileId,
+                path: fileInfo.path,
+                checked: segment.index + 1,
+                total: segments.length,
+                recovered: recoveredSegments,
+                missingChunks: missingChunks.length
+            }, fileInfo.owner);
+        }
+        
+        // Check if we can reconstruct 
+        const reconstructionStatus = recoveredSegments === segments.length ? 'success' :
+                                   recoveredSegments > 0 ? 'partial' : 'failed';
+        
+        if (reconstructionStatus === 'success') {
+            // Verify file hash
+            if (fileHash.digest('hex') !== fileInfo.fileHash) {
+                throw new Error('File hash mismatch - data corrupted');
+            }
+            observeRequest('reconstruct', 'success', startedAt);
+            
+            logEvent(`Reconstruction successful: ${fileInfo.originalName}`, 'info',
+                { type: 'reconstruct', fileId, actor: req.user.username, durationMs: Date.now() - startedAt });
+            
+            res.json({
+                success: true,
+                status: 'success',
+                fileId,
+                originalName: fileInfo.originalName,
+                downloadUrl: `/api/download/${fileId}`,
+                rebuiltChunks,
+                message: rebuiltChunks.length > 0 ?
+                    `File reconstructed successfully (${rebuiltChunks.length} chunks rebuilt from parity)` :
+                    'File reconstructed successfully'
+            });
+        } else {
+            observeRequest('reconstruct', reconstructionStatus, startedAt);
+            res.json({
+                success: reconstructionStatus === 'partial',
+                status: reconstructionStatus,
+                fileId,
+                originalName: fileInfo.originalName,
+                availableChunks,
+                totalChunks,
+                missingChunks,
+                rebuiltChunks,
+                message: reconstructionStatus === 'partial' ? 
+                    `Partial reconstruction (${availableChunks}/${totalChunks} chunks available)` :
+                    'Reconstruction failed - no chunks available'
+            });
+        }
+        
+    } catch (error) {
+        logEvent(`Reconstruction error: ${error.message}`, 'error', { type: 'reconstruct', fileId: req.params.fileId, actor: req.user.username });
+        observeRequest('reconstruct', 'error', startedAt);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Download file: stream chunks in order straight from the nodes, with HTTP range support
+app.get('/api/download/:fileId', async (req, res) => {
+    try {
+        const metadata = await readMetadata();
+        const fileInfo = metadata.files[req.params.fileId];
+        
+        if (!fileInfo) {
+            return res.status(404).json({ error: 'File not found' });
+        }
+        if (!canAccessFile(req.user, fileInfo)) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+        
+        await sendFile(req, res, metadata, fileInfo);
+        
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// List the versions of a logical path (?path=/report.pdf), or every path when omitted
+app.get('/api/versions', async (req, res) => {
+    try {
+        const metadata = visibleMetadata(await readMetadata(), req.user);
+        
+        const describe = entry => ({
+            path: entry.path,
+            currentVersion: entry.versions[entry.versions.length - 1].version,
+            versions: entry.versions.map(version => {
+                const fileInfo = metadata.files[version.fileId] || {};
+                return {
+                    ...version,
+                    size: fileInfo.size,
+                    fileHash: fileInfo.fileHash,
+                    rolledBackFrom: fileInfo.rolledBackFrom,
+                    current: version === entry.versions[entry.versions.length - 1]
+                };
+            })
+        });
+        
+        if (!req.query.path) {
+            return res.json({ paths: Object.values(metadata.paths).map(describe) });
+        }
+        
+        const entry = metadata.paths[normalizeLogicalPath(req.query.path)];
+        if (!entry) {
+            return res.status(404).json({ success: false, error: 'Path not found' });
+        }
+        
+        res.json(describe(entry));
+        
+    } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+// Download a specific version of a path (?path=/report.pdf&version=2; the current version when omitted)
+app.get('/api/versions/download', async (req, res) => {
+    try {
+        const metadata = await readMetadata();
+        const version = findVersion(metadata, req.query.path || '', req.query.version);
+        
+        if (!version || !metadata.files[version.fileId]) {
+            return res.status(404).json({ error: 'Version not found' });
+        }
+        if (!canAccessFile(req.user, metadata.files[version.fileId])) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+        
+        await sendFile(req, res, metadata, metadata.files[version.fileId]);
         
-        // Create and distribute chunks
-        let nodeIndex = 0;
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Roll a path back: the chosen version's chunks become a new, current version
+app.post('/api/versions/rollback', async (req, res) => {
+    try {
+        const snapshot = await readMetadata();
+        const requested = findVersion(snapshot, req.body.path || '', req.body.version);
+        if (requested && snapshot.files[requested.fileId] && !canAccessFile(req.user, snapshot.files[requested.fileId])) {
+            return res.status(403).json({ success: false, error: 'Access denied' });
+        }
         
-        for (let i = 0; i < totalChunks; i++) {
-            const start = i * CHUNK_SIZE;
-            const end = Math.min(start + CHUNK_SIZE, fileBuffer.length);
-            const chunkBuffer = fileBuffer.slice(start, end);
-            const chunkHash = generateHash(chunkBuffer);
-            
-            // Find next available node
-            let assignedNode = null;
-            for (let attempt = 0; attempt < NODES.length; attempt++) {
-                const nodeId = NODES[nodeIndex % NODES.length];
-                const nodeStatus = await getNodeStatus(nodeId);
-                
-                if (nodeStatus.status === 'online') {
-                    assignedNode = nodeId;
-                    nodeIndex++;
-                    break;
-                }
-                nodeIndex++;
+        const fileEntry = await updateMetadata(metadata => {
+            const version = findVersion(metadata, req.body.path || '', req.body.version);
+            if (!version || !metadata.files[version.fileId]) {
+                return null;
             }
             
-            if (!assignedNode) {
-                throw new Error('No online nodes available');
+            // The restored version counts against the owner's quota like an upload, and cannot be
+            // restored once one of its chunk objects has been collected
+            const source = metadata.files[version.fileId];
+            checkUploadSize(storageUsage(metadata, source.owner), source.size);
+            if (Object.values(source.chunks).some(chunkInfo => !metadata.objects[chunkInfo.key])) {
+                return { gone: true };
             }
             
-            // Save chunk to node
-            const chunkFilename = `${fileId}_chunk${i}`;
-            const chunkPath = path.join(NODES_DIR, assignedNode, chunkFilename);
-            await fs.writeFile(chunkPath, chunkBuffer);
-            
-            // Update node chunk count
-            const nodeStatus = await getNodeStatus(assignedNode);
-            nodeStatus.chunkCount++;
-            await updateNodeStatus(assignedNode, nodeStatus.status);
-            
-            // Store metadata
-            metadata.files[fileId].chunks[i] = {
-                chunkId: i,
-                node: assignedNode,
-                hash: chunkHash,
-                size: chunkBuffer.length,
-                path: chunkPath
+            const entry = {
+                ...JSON.parse(JSON.stringify(source)),
+                fileId: generateFileId(),
+                uploadedAt: new Date().toISOString(),
+                rolledBackFrom: source.version
             };
             
-            logEvent(`Chunk ${i} stored on ${assignedNode} (${chunkBuffer.length} bytes)`);
+            // The new version shares every chunk object with the one it restores
+            for (const chunkInfo of Object.values(entry.chunks)) {
+                metadata.objects[chunkInfo.key].refCount++;
+            }
+            registerVersion(metadata, entry);
+            metadata.files[entry.fileId] = entry;
+            return entry;
+        });
+        
+        if (!fileEntry) {
+            return res.status(404).json({ success: false, error: 'Version not found' });
+        }
+        if (fileEntry.gone) {
+            return res.status(410).json({ success: false, error: 'The chunks of this version are no longer stored' });
+        }
+        
+        logEvent(`Rolled back ${fileEntry.path} to v${fileEntry.rolledBackFrom} (now v${fileEntry.version})`, 'info',
+            { type: 'file.rollback', fileId: fileEntry.fileId, actor: req.user.username });
+        announceFile('restored', fileEntry);
+        await recordAudit(req.user.username, 'file.rollback', fileEntry.fileId,
+            { path: fileEntry.path, version: fileEntry.version, rolledBackFrom: fileEntry.rolledBackFrom });
+        
+        try {
+            await pruneVersions(fileEntry.path);
+        } catch (error) {
+            logEvent(`Version pruning failed for ${fileEntry.path}: ${error.message}`, 'warning', { type: 'versions.prune' });
+        }
+        
+        res.json({
+            success: true,
+            path: fileEntry.path,
+            fileId: fileEntry.fileId,
+            version: fileEntry.version,
+            rolledBackFrom: fileEntry.rolledBackFrom,
+            message: `${fileEntry.path} rolled back to version ${fileEntry.rolledBackFrom}`
+        });
+        
+    } catch (error) {
+        res.status(uploadErrorStatus(error)).json({ success: false, error: error.message });
+    }
+});
+
+// Prune old versions. Body: { path?, keepLast?, maxAgeDays? }; defaults to the configured retention policy
+app.post('/api/versions/prune', requireAdmin, async (req, res) => {
+    try {
+        const policy = {
+            keepLast: req.body.keepLast !== undefined ? parseInt(req.body.keepLast, 10) : VERSION_KEEP_LAST,
+            maxAgeDays: req.body.maxAgeDays !== undefined ? parseFloat(req.body.maxAgeDays) : VERSION_MAX_AGE_DAYS
+        };
+        if (!Number.isInteger(policy.keepLast) || policy.keepLast < 0 || !(policy.maxAgeDays >= 0)) {
+            return res.status(400).json({ success: false, error: 'keepLast and maxAgeDays must be non-negative numbers' });
+        }
+        
+        const metadata = await readMetadata();
+        const targets = req.body.path ? [normalizeLogicalPath(req.body.path)] : Object.keys(metadata.paths);
+        
+        const pruned = {};
+        for (const logicalPath of targets) {
+            const versions = await pruneVersions(logicalPath, { ...policy, actor: req.user.username });
+            if (versions.length > 0) {
+                pruned[logicalPath] = versions;
+            }
+        }
+        
+        res.json({ success: true, policy, pruned });
+        
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Delete a file, releasing its chunks
+app.delete('/api/files/:fileId', async (req, res) => {
+    try {
+        const { fileId } = req.params;
+        const existing = (await readMetadata()).files[fileId];
+        if (existing && !canAccessFile(req.user, existing)) {
+            return res.status(403).json({ success: false, error: 'Access denied' });
         }
         
-        // Save metadata
-        await writeMetadata(metadata);
+        const result = await deleteFile(fileId);
         
-        // Clean up original file
-        await fs.unlink(filePath);
+        if (!result) {
+            return res.status(404).json({ success: false, error: 'File not found' });
+        }
         
-        logEvent(`Upload completed: ${originalname}`);
+        const { fileInfo, deleted, queued, shared } = result;
+        await recordAudit(req.user.username, 'file.delete', fileId,
+            { path: fileInfo.path, version: fileInfo.version, originalName: fileInfo.originalName });
         
         res.json({
             success: true,
             fileId,
-            originalName: originalname,
-            totalChunks,
-            message: 'File uploaded and distributed successfully'
+            originalName: fileInfo.originalName,
+            deletedChunks: deleted,
+            queuedChunks: queued,
+            sharedChunks: shared,
+            message: queued > 0 ?
+                `File deleted; ${queued} chunks will be removed when their nodes come back online` :
+                'File deleted successfully'
         });
         
     } catch (error) {
-        logEvent(`Upload error: ${error.message}`, 'error');
+        logEvent(`Delete error: ${error.message}`, 'error', { type: 'file.delete', fileId: req.params.fileId, actor: req.user.username });
         res.status(500).json({
             success: false,
             error: error.message
@@ -257,98 +4492,83 @@ app.post('/api/upload', upload.single('file'), async (req, res) => {
     }
 });
 
-// Reconstruct file
-app.post('/api/reconstruct/:fileId', async (req, res) => {
+// Register a new storage node. Body: { nodeId, url, capacity?, labels? }
+app.post('/api/nodes', requireAdmin, async (req, res) => {
     try {
-        const { fileId } = req.params;
-        const metadata = await readMetadata();
+        const { nodeId, url, capacity, labels } = req.body;
+        const node = await registerNode(nodeId, { url, capacity, labels });
+        await recordAudit(req.user.username, 'node.register', nodeId, { url: node.url, capacity: node.capacity, labels: node.labels });
         
-        if (!metadata.files[fileId]) {
-            throw new Error('File not found');
-        }
+        res.json({ success: true, node, message: `Node ${nodeId} registered` });
         
-        const fileInfo = metadata.files[fileId];
-        const totalChunks = fileInfo.totalChunks;
+    } catch (error) {
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Update a node's URL, capacity or labels
+app.patch('/api/nodes/:nodeId', requireAdmin, async (req, res) => {
+    try {
+        const entry = nodeRegistry[req.params.nodeId];
+        if (!entry) {
+            return res.status(404).json({ success: false, error: 'Node not found' });
+        }
         
-        logEvent(`Starting reconstruction: ${fileInfo.originalName}`);
+        validateNodeSettings(req.body);
+        if (req.body.url !== undefined) {
+            entry.url = req.body.url.replace(/\/$/, '');
+        }
+        if (req.body.capacity !== undefined) {
+            entry.capacity = req.body.capacity;
+        }
+        if (req.body.labels !== undefined) {
+            entry.labels = req.body.labels;
+        }
+        await saveNodeRegistry(req.params.nodeId);
+        await recordAudit(req.user.username, 'node.update', req.params.nodeId, {
+            ...(req.body.url !== undefined && { url: entry.url }),
+            ...(req.body.capacity !== undefined && { capacity: entry.capacity }),
+            ...(req.body.labels !== undefined && { labels: entry.labels })
+        });
         
-        const chunks = [];
-        let missingChunks = [];
+        res.json({ success: true, node: entry });
         
-        // Collect all chunks
-        for (let i = 0; i < totalChunks; i++) {
-            const chunkInfo = fileInfo.chunks[i];
-            const nodeStatus = await getNodeStatus(chunkInfo.node);
-            
-            if (nodeStatus.status === 'online') {
-                try {
-                    const chunkPath = path.join(NODES_DIR, chunkInfo.node, `${fileId}_chunk${i}`);
-                    const chunkBuffer = await fs.readFile(chunkPath);
-                    
-                    // Verify chunk hash
-                    const chunkHash = generateHash(chunkBuffer);
-                    if (chunkHash !== chunkInfo.hash) {
-                        throw new Error(`Chunk ${i} hash mismatch`);
-                    }
-                    
-                    chunks[i] = chunkBuffer;
-                    logEvent(`Retrieved chunk ${i} from ${chunkInfo.node}`);
-                } catch (error) {
-                    missingChunks.push({ chunkId: i, node: chunkInfo.node, error: error.message });
-                    logEvent(`Failed to retrieve chunk ${i} from ${chunkInfo.node}: ${error.message}`, 'error');
-                }
-            } else {
-                missingChunks.push({ chunkId: i, node: chunkInfo.node, error: 'Node offline' });
-                logEvent(`Chunk ${i} unavailable (node ${chunkInfo.node} is offline)`, 'warning');
-            }
+    } catch (error) {
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Start draining a node: it stops receiving chunks and its chunks move to other nodes in the background
+app.post('/api/nodes/:nodeId/drain', requireAdmin, async (req, res) => {
+    try {
+        const { nodeId } = req.params;
+        const entry = nodeRegistry[nodeId];
+        if (!entry) {
+            return res.status(404).json({ success: false, error: 'Node not found' });
         }
         
-        // Check if we can reconstruct 
-        const availableChunks = chunks.filter(chunk => chunk !== undefined).length;
-        const reconstructionStatus = availableChunks === totalChunks ? 'success' :
-                                   availableChunks > 0 ? 'partial' : 'failed';
+        entry.state = 'draining';
+        delete entry.drain;
+        await saveNodeRegistry(nodeId);
+        await recordAudit(req.user.username, 'node.drain', nodeId);
         
-        if (reconstructionStatus === 'success') {
-            // Reconstruct file
-            const reconstructedBuffer = Buffer.concat(chunks);
-            const reconstructedHash = generateHash(reconstructedBuffer);
-            
-            // Verify file hash
-            if (reconstructedHash !== fileInfo.fileHash) {
-                throw new Error('File hash mismatch - data corrupted');
-            }
-            
-            // Save reconstructed file
-            const outputPath = path.join(UPLOADS_DIR, `reconstructed_${fileInfo.originalName}`);
-            await fs.writeFile(outputPath, reconstructedBuffer);
-            
-            logEvent(`Reconstruction successful: ${fileInfo.originalName}`);
-            
-            res.json({
-                success: true,
-                status: 'success',
-                fileId,
-                originalName: fileInfo.originalName,
-                downloadUrl: `/api/download/${fileId}`,
-                message: 'File reconstructed successfully'
-            });
-        } else {
-            res.json({
-                success: reconstructionStatus === 'partial',
-                status: reconstructionStatus,
-                fileId,
-                originalName: fileInfo.originalName,
-                availableChunks,
-                totalChunks,
-                missingChunks,
-                message: reconstructionStatus === 'partial' ? 
-                    `Partial reconstruction (${availableChunks}/${totalChunks} chunks available)` :
-                    'Reconstruction failed - no chunks available'
-            });
-        }
+        drainNode(nodeId).catch(error => logEvent(`Drain of ${nodeId} failed: ${error.message}`, 'error', { type: 'node.drain', nodeId }));
+        
+        res.status(202).json({
+            success: true,
+            nodeId,
+            state: entry.state,
+            chunks: countNodeObjects(await readMetadata(), nodeId),
+            message: `Draining ${nodeId}`
+        });
         
     } catch (error) {
-        logEvent(`Reconstruction error: ${error.message}`, 'error');
         res.status(500).json({
             success: false,
             error: error.message
@@ -356,49 +4576,89 @@ app.post('/api/reconstruct/:fileId', async (req, res) => {
     }
 });
 
-// Download reconstructed file
-app.get('/api/download/:fileId', async (req, res) => {
+// Return a draining or drained node to service
+app.post('/api/nodes/:nodeId/activate', requireAdmin, async (req, res) => {
     try {
-        const { fileId } = req.params;
-        const metadata = await readMetadata();
-        
-        if (!metadata.files[fileId]) {
-            throw new Error('File not found');
+        const { nodeId } = req.params;
+        const entry = nodeRegistry[nodeId];
+        if (!entry) {
+            return res.status(404).json({ success: false, error: 'Node not found' });
         }
         
-        const fileInfo = metadata.files[fileId];
-        const filePath = path.join(UPLOADS_DIR, `reconstructed_${fileInfo.originalName}`);
+        entry.state = 'active';
+        delete entry.drain;
+        await saveNodeRegistry(nodeId);
+        logEvent(`Node ${nodeId} returned to service`, 'info', { type: 'node.activate', nodeId, actor: req.user.username });
+        await recordAudit(req.user.username, 'node.activate', nodeId);
+        
+        res.json({ success: true, nodeId, state: entry.state });
         
-        if (!await fileExists(filePath)) {
-            throw new Error('File not reconstructed yet');
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Decommission a node that no longer holds any chunks
+app.delete('/api/nodes/:nodeId', requireAdmin, async (req, res) => {
+    try {
+        const { nodeId } = req.params;
+        if (!nodeRegistry[nodeId]) {
+            return res.status(404).json({ success: false, error: 'Node not found' });
         }
+        if (activeDrains.has(nodeId)) {
+            return res.status(409).json({ success: false, error: `Node ${nodeId} is still draining` });
+        }
+        
+        await decommissionNode(nodeId);
+        await recordAudit(req.user.username, 'node.decommission', nodeId);
         
-        res.download(filePath, fileInfo.originalName);
+        res.json({ success: true, nodeId, message: `Node ${nodeId} decommissioned` });
         
     } catch (error) {
-        res.status(404).json({ error: error.message });
+        res.status(409).json({
+            success: false,
+            error: error.message
+        });
     }
 });
 
-// Toggle node status
-app.post('/api/nodes/:nodeId/toggle', async (req, res) => {
+// Toggle a node administratively down or back into service. Body: { status?: 'down' | 'up' }.
+// A node brought back up takes the state its heartbeats indicate.
+app.post('/api/nodes/:nodeId/toggle', requireAdmin, async (req, res) => {
     try {
         const { nodeId } = req.params;
         const { status } = req.body;
         
-        if (!NODES.includes(nodeId)) {
+        if (!nodeRegistry[nodeId]) {
             throw new Error('Invalid node ID');
         }
         
         const currentStatus = await getNodeStatus(nodeId);
-        const newStatus = status || (currentStatus.status === 'online' ? 'offline' : 'online');
+        const adminDown = status ? status === 'down' || status === 'offline' : !currentStatus.adminDown;
+        
+        let updatedStatus;
+        if (adminDown) {
+            updatedStatus = await updateNodeStatus(nodeId, 'down', { adminDown: true });
+        } else {
+            await checkNodeHeartbeat(nodeId);
+            const heartbeat = nodeHeartbeats[nodeId];
+            updatedStatus = await updateNodeStatus(nodeId, livenessFromHeartbeat(heartbeat), { adminDown: false });
+        }
         
-        const updatedStatus = await updateNodeStatus(nodeId, newStatus);
+        await recordAudit(req.user.username, 'node.toggle', nodeId, { adminDown: updatedStatus.adminDown, status: updatedStatus.status });
+        
+        if (updatedStatus.status === 'online') {
+            await processPendingDeletions(nodeId);
+        }
         
         res.json({
             success: true,
             nodeId,
             status: updatedStatus.status,
+            adminDown: updatedStatus.adminDown,
             message: `Node ${nodeId} is now ${updatedStatus.status}`
         });
         
@@ -410,10 +4670,244 @@ app.post('/api/nodes/:nodeId/toggle', async (req, res) => {
     }
 });
 
-// Get system logs
-app.get('/api/logs', (req, res) => {
+// Repair worker progress and queue
+app.get('/api/repair', requireAdmin, (req, res) => {
     res.json({
-        logs: global.systemLogs || []
+        running: repairState.running,
+        queueDepth: repairState.queue.size,
+        current: repairState.current,
+        queue: [...repairState.queue.values()].slice(0, 50),
+        repaired: repairState.repaired,
+        failed: repairState.failed,
+        lastScanAt: repairState.lastScanAt,
+        recent: repairState.recent
+    });
+});
+
+// Scan for chunks below their target number of copies now, or queue specific ones. Body: { keys? }
+app.post('/api/repair', requireAdmin, async (req, res) => {
+    try {
+        const { keys } = req.body;
+        let queued;
+        
+        if (Array.isArray(keys)) {
+            const metadata = await readMetadata();
+            queued = keys.filter(key => metadata.objects[key] && enqueueRepair(key, 'requested')).length;
+        } else {
+            queued = await scanForRepairs('requested');
+        }
+        await recordAudit(req.user.username, 'repair.request', null, { keys: Array.isArray(keys) ? keys.length : 'all', queued });
+        
+        res.json({ success: true, queued, queueDepth: repairState.queue.size });
+        
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Scrub nodes now and return the report. Body: { nodes?, rate?, removeOrphans? }
+app.post('/api/scrub', requireAdmin, async (req, res) => {
+    try {
+        const nodes = req.body.nodes || getNodeIds();
+        if (!Array.isArray(nodes)) {
+            return res.status(400).json({ success: false, error: 'nodes must be an array of node IDs' });
+        }
+        const unknown = nodes.filter(nodeId => !nodeRegistry[nodeId]);
+        if (unknown.length > 0) {
+            return res.status(400).json({ success: false, error: `Unknown nodes: ${unknown.join(', ')}` });
+        }
+        const rate = req.body.rate !== undefined ? parseInt(req.body.rate, 10) : SCRUB_RATE;
+        if (!Number.isInteger(rate) || rate < 1) {
+            return res.status(400).json({ success: false, error: 'rate must be a positive number of bytes per second' });
+        }
+        if (scrubState.running) {
+            return res.status(409).json({ success: false, error: 'A scrub is already running' });
+        }
+        
+        await recordAudit(req.user.username, 'scrub.run', null, { nodes, rate, removeOrphans: req.body.removeOrphans === true });
+        const report = await runScrub({ nodes, rate, removeOrphans: req.body.removeOrphans === true });
+        res.json({ success: true, report });
+        
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Latest scrub report
+app.get('/api/scrub', requireAdmin, (req, res) => {
+    res.json({ running: scrubState.running, report: scrubState.lastReport });
+});
+
+// Rebalance the cluster, or only plan it with { dryRun: true }. Body: { dryRun?, threshold?, maxBytes?, rate? }
+app.post('/api/rebalance', requireAdmin, async (req, res) => {
+    try {
+        const options = { dryRun: req.body.dryRun === true };
+        for (const [name, parse] of [['threshold', parseFloat], ['maxBytes', parseInt], ['rate', parseInt]]) {
+            if (req.body[name] === undefined) continue;
+            options[name] = parse(req.body[name], 10);
+            if (!(options[name] > 0)) {
+                return res.status(400).json({ success: false, error: `${name} must be a positive number` });
+            }
+        }
+        if (rebalanceState.running) {
+            return res.status(409).json({ success: false, error: 'A rebalance is already running' });
+        }
+        
+        await recordAudit(req.user.username, 'rebalance.run', null, options);
+        const result = await runRebalance(options);
+        res.json({ success: true, ...result });
+        
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Check metadata against the chunk files on every node. Body: { dryRun? (default true), removeOrphans? }.
+// Missing copies are queued for repair unless this is a dry run. Returns the first page of issues.
+app.post('/api/fsck', requireAdmin, async (req, res) => {
+    try {
+        if (fsckState.running) {
+            return res.status(409).json({ success: false, error: 'A consistency check is already running' });
+        }
+        const dryRun = req.body.dryRun !== false;
+        await recordAudit(req.user.username, 'fsck.run', null, { dryRun, removeOrphans: req.body.removeOrphans === true });
+        const report = await runFsck({ dryRun, removeOrphans: req.body.removeOrphans === true });
+        
+        if (!dryRun) {
+            report.issues
+                .filter(issue => issue.type === 'missing')
+                .forEach(issue => enqueueRepair(issue.key, `fsck: missing on ${issue.node}`));
+        }
+        logEvent(`Consistency check${dryRun ? ' (dry run)' : ''}: ` +
+            `${Object.entries(report.totals).map(([name, count]) => `${count} ${name}`).join(', ')}`,
+            report.issues.length > 0 ? 'warning' : 'info', { type: 'fsck' });
+        
+        res.json({ success: true, ...fsckPage(report, { limit: parseInt(req.body.limit, 10) || 100 }) });
+        
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Page through the latest consistency report: ?offset=&limit=&type=
+app.get('/api/fsck', requireAdmin, (req, res) => {
+    if (!fsckState.lastReport) {
+        return res.json({ running: fsckState.running, report: null });
+    }
+    const offset = Math.max(0, parseInt(req.query.offset, 10) || 0);
+    const limit = Math.min(1000, Math.max(1, parseInt(req.query.limit, 10) || 100));
+    res.json({ running: fsckState.running, report: fsckPage(fsckState.lastReport, { offset, limit, type: req.query.type || null }) });
+});
+
+// Current balance and the latest rebalance
+app.get('/api/rebalance', requireAdmin, async (req, res) => {
+    try {
+        const balance = await computeBalance(await readMetadata());
+        res.json({
+            running: rebalanceState.running,
+            threshold: REBALANCE_THRESHOLD,
+            imbalance: balance.imbalance,
+            nodes: balance.nodes,
+            lastRun: rebalanceState.lastRun
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Query the event log. Filters: type, level, nodeId, fileId, actor, since, until; paged with
+// offset and limit (newest first). `?format=ndjson` downloads every match instead.
+app.get('/api/logs', requireAdmin, async (req, res) => {
+    try {
+        await sendRecords(req, res, eventLogFiles(), 'logs');
+    } catch (error) {
+        if (res.headersSent) {
+            return res.destroy(error);
+        }
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+// Query the audit trail, with the same filters as /api/logs plus action and target
+app.get('/api/audit', requireAdmin, async (req, res) => {
+    try {
+        await sendRecords(req, res, [AUDIT_LOG_FILE], 'entries');
+    } catch (error) {
+        if (res.headersSent) {
+            return res.destroy(error);
+        }
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+// Check the audit trail's hash chain
+app.get('/api/audit/verify', requireAdmin, async (req, res) => {
+    try {
+        const { valid, entries, brokenAt, reason } = await verifyAuditLog();
+        res.json({ valid, entries, brokenAt, reason });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Prometheus metrics. Outside /api so scrapers find it at the usual path, but it still needs an
+// administrator's token (Prometheus sends one with `authorization: { credentials: ... }`).
+app.get('/metrics', authenticate, requireAdmin, async (req, res) => {
+    try {
+        res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+        res.send(await renderMetrics());
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Live event stream (Server-Sent Events). A reconnecting EventSource sends Last-Event-ID by itself;
+// a new connection can pass `?lastEventId=` to resume. The first event, `ready`, carries the id the
+// stream resumes from (the current one for a fresh client), so every client has a point to resume from.
+app.get('/api/events', (req, res) => {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+    });
+    res.flushHeaders();
+    
+    const currentId = `${eventStream.bootId}-${eventStream.seq}`;
+    const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+    const missed = lastEventId ? eventsSince(lastEventId) : [];
+    if (missed) {
+        writeEvent(res, { id: lastEventId || currentId, type: 'ready', data: { replayed: missed.length } });
+        missed.filter(event => canSeeEvent(req.user, event)).forEach(event => writeEvent(res, event));
+    } else {
+        writeEvent(res, { id: currentId, type: 'reset', data: { reason: 'Missed events are no longer available' } });
+    }
+    
+    // Keep the connection open, and close it once the token expires or is revoked
+    const client = { user: req.user, res };
+    eventStream.clients.add(client);
+    const keepAlive = setInterval(() => {
+        const token = authStore.tokens[req.token.id];
+        if (!token || (token.expiresAt && Date.parse(token.expiresAt) < Date.now())) {
+            res.end();
+        } else {
+            res.write(': keep-alive\n\n');
+        }
+    }, EVENT_KEEPALIVE);
+    req.on('close', () => {
+        clearInterval(keepAlive);
+        eventStream.clients.delete(client);
     });
 });
 
@@ -421,7 +4915,7 @@ app.get('/api/logs', (req, res) => {
 app.get('/api/nodes', async (req, res) => {
     try {
         const nodes = await getAllNodesStatus();
-        res.json({ nodes });
+        res.json({ nodes: req.user.role === 'admin' ? nodes : nodes.map(visibleNodeStatus) });
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
@@ -430,7 +4924,7 @@ app.get('/api/nodes', async (req, res) => {
 // Get metadata
 app.get('/api/metadata', async (req, res) => {
     try {
-        const metadata = await readMetadata();
+        const metadata = visibleMetadata(await readMetadata(), req.user);
         res.json(metadata);
     } catch (error) {
         res.status(500).json({ error: error.message });
@@ -438,30 +4932,63 @@ app.get('/api/metadata', async (req, res) => {
 });
 
 // Get dashboard data
-app.get('/api/dashboard', async (req, res) => {
+app.get('/api/dashboard', requireAdmin, async (req, res) => {
     try {
         const nodes = await getAllNodesStatus();
         const metadata = await readMetadata();
         const totalFiles = Object.keys(metadata.files).length;
         const totalChunks = Object.values(metadata.files).reduce((sum, file) => sum + file.totalChunks, 0);
         
-        // Calculate chunk distribution
+        // Calculate chunk distribution, bytes stored and the bytes compression saved on each node
         const chunkDistribution = {};
-        for (const node of NODES) {
+        const storedBytes = {};
+        const compressionSavings = {};
+        for (const node of getNodeIds()) {
             chunkDistribution[node] = 0;
+            storedBytes[node] = 0;
+            compressionSavings[node] = 0;
         }
         
-        Object.values(metadata.files).forEach(file => {
-            Object.values(file.chunks).forEach(chunk => {
-                chunkDistribution[chunk.node] = (chunkDistribution[chunk.node] || 0) + 1;
+        Object.values(metadata.objects).forEach(object => {
+            const saved = object.codec && object.codec !== 'none' ? Math.max(0, object.rawSize - object.size) : 0;
+            object.replicas.forEach(replica => {
+                chunkDistribution[replica.node] = (chunkDistribution[replica.node] || 0) + 1;
+                storedBytes[replica.node] = (storedBytes[replica.node] || 0) + object.size;
+                compressionSavings[replica.node] = (compressionSavings[replica.node] || 0) + saved;
             });
         });
         
+        // Health score of each node from its latest scrub
+        const healthScores = {};
+        Object.values(scrubState.nodes).forEach(result => {
+            healthScores[result.nodeId] = result.healthScore;
+        });
+        
+        // Storage accounting: logical bytes uploaded vs. bytes actually held on nodes
+        const logicalSize = Object.values(metadata.files).reduce((sum, file) => sum + file.size, 0);
+        const physicalSize = Object.values(metadata.objects)
+            .reduce((sum, object) => sum + object.size * object.replicas.length, 0);
+        // Deduplication compares bytes before compression and encryption on both sides, so
+        // compression does not show up as deduplication
+        const uniqueSize = Object.values(metadata.objects).reduce((sum, object) => sum + (object.rawSize || object.size), 0);
+        const capacity = capacityReport(metadata.objects);
+        const referencedSize = Object.values(metadata.files).reduce((sum, file) =>
+            sum + Object.values(file.chunks).reduce((chunkSum, chunk) => chunkSum + chunk.size, 0), 0);
+        
         res.json({
             nodes,
             totalFiles,
             totalChunks,
+            uniqueChunks: Object.keys(metadata.objects).length,
             chunkDistribution,
+            storedBytes,
+            compressionSavings,
+            healthScores,
+            lastScrubAt: scrubState.lastReport ? scrubState.lastReport.finishedAt : null,
+            logicalSize,
+            physicalSize,
+            dedupRatio: uniqueSize > 0 ? referencedSize / uniqueSize : 1,
+            capacity,
             systemUptime: process.uptime()
         });
         
@@ -474,12 +5001,42 @@ app.get('/api/dashboard', async (req, res) => {
 async function startServer() {
     await initializeSystem();
     
+    // Keep node liveness current and repair chunks that lost copies
+    setInterval(checkNodeHeartbeats, HEARTBEAT_INTERVAL);
+    setInterval(() => scanForRepairs().catch(error => logEvent(`Repair scan failed: ${error.message}`, 'error', { type: 'repair.scan' })), REPAIR_SCAN_INTERVAL);
+    scanForRepairs('startup').catch(error => logEvent(`Repair scan failed: ${error.message}`, 'error', { type: 'repair.scan' }));
+    setInterval(() => runScrub().catch(error => logEvent(`Scrub failed: ${error.message}`, 'error', { type: 'scrub' })), SCRUB_INTERVAL);
+    setInterval(() => checkBalance().catch(error => logEvent(`Rebalance failed: ${error.message}`, 'error', { type: 'rebalance' })), REBALANCE_INTERVAL);
+    
     app.listen(PORT, () => {
         console.log(`COSMEON FS-Lite running on http://localhost:${PORT}`);
         logEvent('System started');
     });
 }
 
-startServer();
+if (require.main !== module) {
+    // Required by the tests, which exercise these helpers without starting the coordinator
+    module.exports = {
+        encodeParityShards,
+        decodeDataShards,
+        parseRange,
+        sealChunk,
+        openChunk,
+        beginObjectWrite,
+        endObjectWrites,
+        withObjectRemoval
+    };
+} else if (process.argv[2] === 'fsck') {
+    // Let the event log catch up before exiting
+    fsckCommand(process.argv.slice(3)).then(code => logWriter.chain.then(() => process.exit(code)), error => {
+        console.error(`fsck failed: ${error.message}`);
+        process.exit(2);
+    });
+} else {
+    startServer().catch(() => {
+        console.error('Refusing to start. Restore or repair the file named above and start again.');
+        process.exit(1);
+    });
+}
 
 
@@ -0,0 +1,317 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+
+// Runs a coordinator from a scratch directory against in-memory storage nodes that speak
+// the chunk protocol of node-server.js, and talks to it over HTTP like a client would.
+const ROOT = path.join(__dirname, '..');
+const ADMIN_PASSWORD = 'test-admin-password';
+const cluster = { nodes: [], dir: null, coordinator: null, url: null, token: null };
+
+// In-memory storage node
+function startStubNode(nodeId) {
+    const chunks = new Map();
+    const app = express();
+    
+    app.get('/health', (req, res) => {
+        const usedBytes = [...chunks.values()].reduce((sum, chunk) => sum + chunk.length, 0);
+        res.json({ nodeId, status: 'ok', chunkCount: chunks.size, usedBytes, uptime: 1 });
+    });
+    app.get('/chunks', (req, res) => {
+        res.json({ nodeId, chunks: [...chunks].map(([key, chunk]) => ({ key, size: chunk.length })) });
+    });
+    app.put('/chunks/:key', express.raw({ type: () => true, limit: '64mb' }), (req, res) => {
+        chunks.set(req.params.key, Buffer.from(req.body));
+        res.status(201).json({ key: req.params.key, size: req.body.length });
+    });
+    app.get('/chunks/:key', (req, res) => {
+        if (!chunks.has(req.params.key)) {
+            return res.status(404).json({ error: 'Chunk not found' });
+        }
+        res.type('application/octet-stream').send(chunks.get(req.params.key));
+    });
+    app.delete('/chunks/:key', (req, res) => {
+        res.json({ key: req.params.key, deleted: chunks.delete(req.params.key) });
+    });
+    
+    return new Promise(resolve => {
+        const server = app.listen(0, '127.0.0.1', () =>
+            resolve({ nodeId, chunks, server, url: `http://127.0.0.1:${server.address().port}` }));
+    });
+}
+
+// A port nothing is listening on
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer().listen(0, '127.0.0.1', () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        }).on('error', reject);
+    });
+}
+
+// Call the coordinator's API as the admin
+async function api(pathname, options = {}) {
+    return fetch(`${cluster.url}${pathname}`, {
+        ...options,
+        headers: { ...options.headers, Authorization: `Bearer ${cluster.token}` }
+    });
+}
+
+// Send `data` to the multipart endpoint as `token`'s user; `query` carries the upload options
+async function postFile(name, data, query = '', token = cluster.token) {
+    const form = new FormData();
+    form.append('file', new Blob([data]), name);
+    const response = await fetch(`${cluster.url}/api/upload${query}`, {
+        method: 'POST',
+        body: form,
+        headers: { Authorization: `Bearer ${token}` }
+    });
+    return { status: response.status, result: await response.json() };
+}
+
+// Upload `data` as the admin, expecting success
+async function uploadFile(name, data, query = '') {
+    const { status, result } = await postFile(name, data, query);
+    assert.equal(status, 200, result.error);
+    return result;
+}
+
+// Create a user and sign in as them
+async function createUser(username, fields = {}) {
+    const password = `${username}-password`;
+    const created = await api('/api/users', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username, password, role: 'user', ...fields })
+    });
+    assert.equal(created.status, 201);
+    const response = await fetch(`${cluster.url}/api/auth/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username, password })
+    });
+    return (await response.json()).token;
+}
+
+async function readMetadata() {
+    return JSON.parse(await fs.promises.readFile(path.join(cluster.dir, 'metadata.json'), 'utf8'));
+}
+
+before(async () => {
+    cluster.nodes = await Promise.all(['node1', 'node2', 'node3', 'node4'].map(startStubNode));
+    
+    cluster.dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'cosmeon-test-'));
+    await fs.promises.copyFile(path.join(ROOT, 'server.js'), path.join(cluster.dir, 'server.js'));
+    await fs.promises.mkdir(path.join(cluster.dir, 'nodes'));
+    const registry = {};
+    for (const node of cluster.nodes) {
+        registry[node.nodeId] = { nodeId: node.nodeId, url: node.url, capacity: null, labels: {}, state: 'active', addedAt: new Date().toISOString() };
+    }
+    await fs.promises.writeFile(path.join(cluster.dir, 'nodes', 'registry.json'), JSON.stringify({ nodes: registry }));
+    
+    const port = await freePort();
+    cluster.url = `http://127.0.0.1:${port}`;
+    cluster.coordinator = spawn(process.execPath, ['server.js'], {
+        cwd: cluster.dir,
+        env: { PATH: process.env.PATH, PORT: String(port), NODE_PATH: path.join(ROOT, 'node_modules'), COSMEON_ADMIN_PASSWORD: ADMIN_PASSWORD },
+        stdio: 'ignore'
+    });
+    
+    // Wait until the coordinator accepts a sign-in
+    const deadline = Date.now() + 20000;
+    while (!cluster.token) {
+        try {
+            const response = await fetch(`${cluster.url}/api/auth/login`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ username: 'admin', password: ADMIN_PASSWORD })
+            });
+            cluster.token = (await response.json()).token;
+        } catch (error) {
+            if (Date.now() > deadline) throw new Error(`Coordinator did not start: ${error.message}`);
+            await new Promise(resolve => setTimeout(resolve, 200));
+        }
+    }
+});
+
+after(async () => {
+    if (cluster.coordinator) {
+        cluster.coordinator.kill();
+    }
+    await Promise.all(cluster.nodes.map(node => new Promise(resolve => node.server.close(resolve))));
+    if (cluster.dir) {
+        await fs.promises.rm(cluster.dir, { recursive: true, force: true });
+    }
+});
+
+test('a replicated upload downloads byte for byte', async () => {
+    const data = crypto.randomBytes(2.5 * 1024 * 1024);
+    const { fileId, totalChunks } = await uploadFile('replicated.bin', data, '?replicationFactor=2');
+    assert.equal(totalChunks, 3);
+    
+    const response = await api(`/api/download/${fileId}`);
+    assert.equal(response.status, 200);
+    assert.deepEqual(Buffer.from(await response.arrayBuffer()), data);
+});
+
+test('an erasure coded upload downloads with a node\'s shards lost', async () => {
+    const data = crypto.randomBytes(1.5 * 1024 * 1024);
+    const { fileId } = await uploadFile('coded.bin', data, '?coding=erasure&dataShards=2&parityShards=1');
+    
+    // Drop every shard of this file held by the node storing its first data shard
+    const metadata = await readMetadata();
+    const fileInfo = metadata.files[fileId];
+    const firstKey = fileInfo.chunks[0].key;
+    const victim = cluster.nodes.find(node => node.nodeId === metadata.objects[firstKey].replicas[0].node);
+    const saved = new Map(victim.chunks);
+    for (const chunkInfo of Object.values(fileInfo.chunks)) {
+        victim.chunks.delete(chunkInfo.key);
+    }
+    
+    try {
+        const response = await api(`/api/download/${fileId}`);
+        assert.equal(response.status, 200);
+        assert.deepEqual(Buffer.from(await response.arrayBuffer()), data);
+    } finally {
+        saved.forEach((chunk, key) => victim.chunks.set(key, chunk));
+    }
+});
+
+test('a session upload keeps one copy of a part sent twice at once', async () => {
+    const data = crypto.randomBytes(300 * 1024);
+    const partSize = 200 * 1024;
+    const created = await api('/api/uploads', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ fileName: 'session.bin', size: data.length, partSize })
+    });
+    const { sessionId } = await created.json();
+    const sendPart = (partNumber) => {
+        const body = data.subarray(partNumber * partSize, (partNumber + 1) * partSize);
+        return api(`/api/uploads/${sessionId}/parts/${partNumber}`, {
+            method: 'PUT',
+            headers: { 'X-Part-Hash': crypto.createHash('sha256').update(body).digest('hex') },
+            body
+        });
+    };
+    
+    const statuses = (await Promise.all([sendPart(0), sendPart(0), sendPart(1)])).map(response => response.status);
+    assert.deepEqual(statuses, [200, 200, 200]);
+    
+    const committed = await (await api(`/api/uploads/${sessionId}/commit`, { method: 'POST' })).json();
+    assert.equal(committed.success, true);
+    const response = await api(`/api/download/${committed.fileId}`);
+    assert.ok(Buffer.from(await response.arrayBuffer()).equals(data));
+});
+
+test('ranged downloads return 206, and 416 past the end of the file', async () => {
+    const data = crypto.randomBytes(100 * 1024);
+    const { fileId } = await uploadFile('ranged.bin', data);
+    
+    const partial = await api(`/api/download/${fileId}`, { headers: { Range: 'bytes=1000-1999' } });
+    assert.equal(partial.status, 206);
+    assert.equal(partial.headers.get('content-range'), `bytes 1000-1999/${data.length}`);
+    assert.deepEqual(Buffer.from(await partial.arrayBuffer()), data.subarray(1000, 2000));
+    
+    const suffix = await api(`/api/download/${fileId}`, { headers: { Range: 'bytes=-10' } });
+    assert.equal(suffix.status, 206);
+    assert.deepEqual(Buffer.from(await suffix.arrayBuffer()), data.subarray(data.length - 10));
+    
+    const pastEnd = await api(`/api/download/${fileId}`, { headers: { Range: `bytes=${data.length}-` } });
+    assert.equal(pastEnd.status, 416);
+    assert.equal(pastEnd.headers.get('content-range'), `bytes */${data.length}`);
+    await pastEnd.arrayBuffer();
+});
+
+test('identical uploads share chunk objects until the last reference is deleted', async () => {
+    const data = crypto.randomBytes(1.5 * 1024 * 1024);
+    const storedKeys = () => cluster.nodes.flatMap(node => [...node.chunks.keys()]);
+    
+    const first = await uploadFile('shared-a.bin', data, '?replicationFactor=2');
+    const keys = Object.values((await readMetadata()).files[first.fileId].chunks).map(chunkInfo => chunkInfo.key);
+    const stored = storedKeys().length;
+    
+    const second = await uploadFile('shared-b.bin', data, '?replicationFactor=2');
+    let metadata = await readMetadata();
+    assert.deepEqual(Object.values(metadata.files[second.fileId].chunks).map(chunkInfo => chunkInfo.key), keys);
+    keys.forEach(key => assert.equal(metadata.objects[key].refCount, 2));
+    assert.equal(storedKeys().length, stored, 'the second upload wrote no new chunks');
+    
+    assert.equal((await api(`/api/files/${first.fileId}`, { method: 'DELETE' })).status, 200);
+    metadata = await readMetadata();
+    keys.forEach(key => assert.equal(metadata.objects[key].refCount, 1));
+    assert.equal(storedKeys().length, stored);
+    const download = await api(`/api/download/${second.fileId}`);
+    assert.deepEqual(Buffer.from(await download.arrayBuffer()), data);
+    
+    assert.equal((await api(`/api/files/${second.fileId}`, { method: 'DELETE' })).status, 200);
+    metadata = await readMetadata();
+    keys.forEach(key => assert.equal(metadata.objects[key], undefined));
+    assert.equal(storedKeys().filter(key => keys.includes(key)).length, 0, 'released chunks are removed from the nodes');
+});
+
+test('an upload whose declared size exceeds the quota is refused before it is stored', async () => {
+    const token = await createUser('declared', { quota: 1024 * 1024 });
+    const { status, result } = await postFile('big.bin', crypto.randomBytes(1000), `?size=${2 * 1024 * 1024}`, token);
+    assert.equal(status, 413);
+    assert.match(result.error, /quota/);
+});
+
+test('parallel uploads by one user cannot together exceed the quota', async () => {
+    const token = await createUser('parallel', { quota: 2 * 1024 * 1024 });
+    const results = await Promise.all(['one.bin', 'two.bin'].map(name =>
+        postFile(name, crypto.randomBytes(1.5 * 1024 * 1024), '', token)));
+    
+    assert.deepEqual(results.map(({ status }) => status).sort(), [200, 413]);
+    const metadata = await readMetadata();
+    const stored = Object.values(metadata.files).filter(file => file.owner === 'parallel');
+    assert.equal(stored.length, 1);
+});
+
+test('users see where their own chunks are stored, without reference counts', async () => {
+    const token = await createUser('placement');
+    const { status, result } = await postFile('mine.bin', crypto.randomBytes(1000), '', token);
+    assert.equal(status, 200);
+    
+    const response = await fetch(`${cluster.url}/api/metadata`, { headers: { Authorization: `Bearer ${token}` } });
+    const metadata = await response.json();
+    const [chunkInfo] = Object.values(metadata.files[result.fileId].chunks);
+    assert.deepEqual(Object.keys(metadata.objects), [chunkInfo.key]);
+    assert.equal(metadata.objects[chunkInfo.key].replicas.length, 2);
+    assert.equal(metadata.objects[chunkInfo.key].refCount, undefined);
+});
+
+test('only administrators see node URLs and capacity', async () => {
+    const token = await createUser('viewer');
+    const response = await fetch(`${cluster.url}/api/nodes`, { headers: { Authorization: `Bearer ${token}` } });
+    const { nodes } = await response.json();
+    assert.equal(nodes.length, cluster.nodes.length);
+    nodes.forEach(node => {
+        assert.equal(node.status, 'online');
+        assert.equal(node.url, undefined);
+        assert.equal(node.capacity, undefined);
+        assert.equal(node.labels, undefined);
+    });
+    
+    const { nodes: adminNodes } = await (await api('/api/nodes')).json();
+    assert.ok(adminNodes.every(node => node.url.startsWith('http://127.0.0.1:')));
+});
+
+test('the deduplication ratio does not count compression', async () => {
+    const text = Buffer.from(`${crypto.randomBytes(16).toString('hex')} `.repeat(40000));
+    const dedupRatio = async () => (await (await api('/api/dashboard')).json()).dedupRatio;
+    const before = await dedupRatio();
+    
+    await uploadFile('compressible.txt', text, '?compression=gzip');
+    assert.equal(await dedupRatio(), before);
+    
+    await uploadFile('compressible-copy.txt', text, '?compression=gzip');
+    assert.ok(await dedupRatio() > before);
+});
@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { sealChunk, openChunk } = require('../server');
+
+const dataKey = crypto.randomBytes(32);
+const plaintext = crypto.randomBytes(4096);
+
+test('a sealed chunk opens to its plaintext', () => {
+    const sealed = sealChunk(dataKey, plaintext);
+    assert.equal(sealed.length, plaintext.length + 28);
+    assert.ok(!sealed.includes(plaintext.subarray(0, 64)));
+    assert.ok(openChunk(dataKey, sealed).equals(plaintext));
+});
+
+test('sealing is deterministic per data key, so equal chunks deduplicate', () => {
+    assert.ok(sealChunk(dataKey, plaintext).equals(sealChunk(dataKey, plaintext)));
+    assert.ok(!sealChunk(crypto.randomBytes(32), plaintext).equals(sealChunk(dataKey, plaintext)));
+    
+    const other = Buffer.from(plaintext);
+    other[0] ^= 1;
+    assert.ok(!sealChunk(dataKey, other).subarray(0, 12).equals(sealChunk(dataKey, plaintext).subarray(0, 12)));
+});
+
+test('a tampered chunk or the wrong key fails authentication', () => {
+    const sealed = sealChunk(dataKey, plaintext);
+    for (const offset of [0, 12, 28, sealed.length - 1]) {
+        const tampered = Buffer.from(sealed);
+        tampered[offset] ^= 1;
+        assert.throws(() => openChunk(dataKey, tampered));
+    }
+    assert.throws(() => openChunk(crypto.randomBytes(32), sealed));
+});
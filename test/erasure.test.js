@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { encodeParityShards, decodeDataShards } = require('../server');
+
+// Every way of choosing `count` shard numbers out of `total`
+function combinations(total, count, start = 0) {
+    if (count === 0) return [[]];
+    const result = [];
+    for (let i = start; i <= total - count; i++) {
+        for (const rest of combinations(total, count - 1, i + 1)) {
+            result.push([i, ...rest]);
+        }
+    }
+    return result;
+}
+
+for (const [dataShards, parityShards] of [[2, 1], [4, 2], [6, 3]]) {
+    test(`Reed-Solomon ${dataShards}+${parityShards} recovers from up to ${parityShards} lost shards`, () => {
+        const data = Array.from({ length: dataShards }, () => crypto.randomBytes(257));
+        const parity = encodeParityShards(data, parityShards);
+        assert.equal(parity.length, parityShards);
+        
+        for (let lost = 0; lost <= parityShards; lost++) {
+            for (const missing of combinations(dataShards + parityShards, lost)) {
+                const shards = [...data, ...parity].map((shard, i) => missing.includes(i) ? null : shard);
+                assert.deepEqual(decodeDataShards(shards, dataShards, parityShards), data, `lost shards ${missing}`);
+            }
+        }
+    });
+    
+    test(`Reed-Solomon ${dataShards}+${parityShards} refuses to decode with ${parityShards + 1} lost shards`, () => {
+        const data = Array.from({ length: dataShards }, () => crypto.randomBytes(16));
+        const shards = [...data, ...encodeParityShards(data, parityShards)];
+        for (let i = 0; i <= parityShards; i++) {
+            shards[i] = null;
+        }
+        assert.throws(() => decodeDataShards(shards, dataShards, parityShards), /Need \d+ shards/);
+    });
+}
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { beginObjectWrite, endObjectWrites, withObjectRemoval } = require('../server');
+
+test('a removal skips an object an upload has written but not committed', async () => {
+    const objectStore = { written: { 'key-a': {} }, known: {} };
+    await beginObjectWrite('key-a');
+    
+    let ran = false;
+    assert.equal(await withObjectRemoval('key-a', async () => { ran = true; }), false);
+    assert.equal(ran, false);
+    
+    endObjectWrites(objectStore);
+    assert.equal(await withObjectRemoval('key-a', async () => { ran = true; }), true);
+    assert.equal(ran, true);
+});
+
+test('an upload writing an object waits until its removal has finished', async () => {
+    const order = [];
+    let finishRemoval;
+    const removal = withObjectRemoval('key-b', async () => {
+        order.push('removal started');
+        await new Promise(resolve => { finishRemoval = resolve; });
+        order.push('removal finished');
+    });
+    
+    const write = beginObjectWrite('key-b').then(() => order.push('write started'));
+    await new Promise(resolve => setImmediate(resolve));
+    finishRemoval();
+    await Promise.all([removal, write]);
+    
+    assert.deepEqual(order, ['removal started', 'removal finished', 'write started']);
+    endObjectWrites({ written: { 'key-b': {} } });
+});
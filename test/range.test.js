@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseRange } = require('../server');
+
+// parseRange returns null for a missing or unsupported header (send the whole file),
+// false for a range that cannot be satisfied (416) and { start, end } otherwise
+
+test('parseRange reads explicit and open-ended ranges', () => {
+    assert.deepEqual(parseRange('bytes=0-0', 10), { start: 0, end: 0 });
+    assert.deepEqual(parseRange('bytes=2-5', 10), { start: 2, end: 5 });
+    assert.deepEqual(parseRange('bytes=3-', 10), { start: 3, end: 9 });
+    assert.deepEqual(parseRange(' bytes=9-9 ', 10), { start: 9, end: 9 });
+});
+
+test('parseRange clamps an end past the last byte', () => {
+    assert.deepEqual(parseRange('bytes=4-100', 10), { start: 4, end: 9 });
+});
+
+test('parseRange serves suffix ranges from the end of the file', () => {
+    assert.deepEqual(parseRange('bytes=-3', 10), { start: 7, end: 9 });
+    assert.deepEqual(parseRange('bytes=-10', 10), { start: 0, end: 9 });
+    assert.deepEqual(parseRange('bytes=-50', 10), { start: 0, end: 9 });
+});
+
+test('parseRange refuses ranges that cannot be satisfied', () => {
+    assert.equal(parseRange('bytes=10-', 10), false);
+    assert.equal(parseRange('bytes=15-20', 10), false);
+    assert.equal(parseRange('bytes=5-4', 10), false);
+    assert.equal(parseRange('bytes=-0', 10), false);
+    assert.equal(parseRange('bytes=0-', 0), false);
+    assert.equal(parseRange('bytes=-5', 0), false);
+});
+
+test('parseRange ignores missing, malformed and multi-range headers', () => {
+    assert.equal(parseRange(undefined, 10), null);
+    assert.equal(parseRange('', 10), null);
+    assert.equal(parseRange('bytes=-', 10), null);
+    assert.equal(parseRange('items=0-5', 10), null);
+    assert.equal(parseRange('bytes=0-1,4-5', 10), null);
+    assert.equal(parseRange('bytes=a-b', 10), null);
+});